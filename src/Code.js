@@ -1,17 +1,132 @@
 // Gemini関連のパラメータのデフォルト値
 const _DEFAULT_GEMINI_MODEL = "gemini-2.5-flash";
 const _DEFAULT_GEMINI_IMAGE_MODEL = "gemini-2.0-flash-preview-image-generation";
+const _DEFAULT_GEMINI_TTS_MODEL = "gemini-2.5-flash-preview-tts";
 const _DEFAULT_MAX_TOKENS = 8192;
 const _DEFAULT_TEMPERATURE = 1.0;
 const _DEFAULT_TOP_P = 0.95;
 const _DEFAULT_TOP_K = 40;
 const _DEFAULT_MAX_RETRY = 3;
 const _DEFAULT_CANDIDATE_COUNT = 1;
+const _DEFAULT_MAX_FUNCTION_CALLS = 10;
+
+// APIエンドポイント関連
+const _GEMINI_API_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+const _GEMINI_UPLOAD_BASE_URL = "https://generativelanguage.googleapis.com/upload/v1beta";
+const _GEMINI_DOWNLOAD_BASE_URL = "https://generativelanguage.googleapis.com/download/v1beta";
+const _DEFAULT_VERTEX_LOCATION = "us-central1";
+const _VERTEX_OAUTH_SCOPE = "https://www.googleapis.com/auth/cloud-platform";
+const _GOOGLE_OAUTH_TOKEN_URL = "https://oauth2.googleapis.com/token";
+
+// リトライ関連のデフォルトパラメータ
+const _APPS_SCRIPT_EXECUTION_LIMIT_MS = 6 * 60 * 1000;
+const _DEFAULT_RETRY_POLICY = {
+  retryableStatuses: [429, 500, 502, 503, 504],
+  initialDelayMs: 1000,
+  maxDelayMs: 60000,
+  jitter: true,
+  maxElapsedMs: 5 * 60 * 1000,
+  deadlineMarginMs: 30 * 1000,
+  onRetry: null
+};
+
+// ジョブランナー関連
+const _JOB_PROPERTY_KEY_PREFIX = "gemini_job_";
+const _JOB_RUNNING_PROPERTY_KEY_PREFIX = "gemini_jobrun_"; // 実行中フラグ（値は実行を開始した時刻）
+const _JOB_GUARD_LOCK_TIMEOUT_MS = 10 * 1000; // 実行中フラグを読み書きする間だけスクリプトロックを待つ時間
+const _DEFAULT_JOB_TIME_BUDGET_MS = 5 * 60 * 1000;
+const _DEFAULT_JOB_CONTINUATION_DELAY_MS = 60 * 1000;
+const _JOB_MAX_RECORDED_ERRORS = 50;
+const _JOB_MAX_ERROR_MESSAGE_LENGTH = 500;
+const _JOB_STATE_LIMIT_BYTES = 9 * 1024; // PropertiesService の値のサイズ上限
+
+// スプレッドシートのカスタム関数関連
+const _CUSTOM_FUNCTION_API_KEY_PROPERTY = "GEMINI_API_KEY";
+const _CUSTOM_FUNCTION_CACHE_KEY_PREFIX = "gemini_cf_";
+const _CUSTOM_FUNCTION_CACHE_TTL_SECONDS = 6 * 60 * 60; // CacheServiceの上限
+const _CACHE_VALUE_LIMIT_BYTES = 100 * 1024; // CacheServiceの1件あたりの上限
+const _CUSTOM_FUNCTION_RETRY_TIME_LIMIT_MS = 20 * 1000; // カスタム関数の実行時間上限（30秒）に収めるため
+const _CUSTOM_FUNCTION_MAX_RETRY_DELAY_MS = 5 * 1000;
+
+// スキーマの変換関連
+const _SCHEMA_REF_MAX_DEPTH = 10; // $ref を展開する深さの上限
+
+// レスポンスキャッシュ関連
+const _DEFAULT_RESPONSE_CACHE = {
+  ttlSeconds: 6 * 60 * 60,
+  cache: null,         // 省略時は CacheService.getScriptCache()
+  fallback: null,      // 'properties' または 'drive'
+  properties: null,    // 省略時は PropertiesService.getScriptProperties()
+  folderId: null       // fallback が 'drive' の場合の保存先フォルダ
+};
+const _RESPONSE_CACHE_KEY_PREFIX = "gemini_rc_";
+const _CACHE_SERVICE_MAX_TTL_SECONDS = 6 * 60 * 60;
+const _RESPONSE_CACHE_MAX_CHUNKS = 50;
+const _PROPERTY_VALUE_CHUNK_BYTES = 8 * 1024; // プロパティの値の上限（9KB）に収めるため
+
+// 使用量の集計関連
+// 料金の目安（USD / 100万トークン）。料金は改定されるので、正確な見積もりには config.pricing で最新の値を指定してください。
+const _DEFAULT_PRICING = {
+  "gemini-2.5-pro": { input: 1.25, output: 10.0, cachedInput: 0.31 },
+  "gemini-2.5-flash-lite": { input: 0.10, output: 0.40, cachedInput: 0.025 },
+  "gemini-2.5-flash": { input: 0.30, output: 2.50, cachedInput: 0.075 },
+  "gemini-2.0-flash-lite": { input: 0.075, output: 0.30, cachedInput: 0.075 },
+  "gemini-2.0-flash": { input: 0.10, output: 0.40, cachedInput: 0.025 }
+};
+const _USAGE_PROPERTY_KEY_PREFIX = "gemini_usage_";
+const _USAGE_SHEET_HEADER = [
+  "timestamp", "model", "method", "requests", "promptTokens", "candidatesTokens",
+  "thoughtsTokens", "cachedTokens", "totalTokens", "images", "estimatedCost"
+];
+
+// batchChat の同時リクエスト数のデフォルト
+const _DEFAULT_BATCH_CONCURRENCY = 10;
+
+// Batch API関連
+const _BATCH_INLINE_LIMIT_BYTES = 15 * 1024 * 1024; // これを超えるリクエストはJSONLファイルとしてアップロード
+const _BATCH_STATE_SUCCEEDED = "BATCH_STATE_SUCCEEDED";
+
+// 拡張子からのMIMEタイプの判定（Blobに Content-Type がない場合に使用）
+const _MIME_TYPES_BY_EXTENSION = {
+  // ドキュメント
+  pdf: "application/pdf", txt: "text/plain", csv: "text/csv", tsv: "text/tab-separated-values",
+  html: "text/html", htm: "text/html", md: "text/md", xml: "text/xml", rtf: "text/rtf",
+  // 画像
+  png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif", webp: "image/webp",
+  heic: "image/heic", heif: "image/heif",
+  // 音声
+  mp3: "audio/mpeg", wav: "audio/wav", m4a: "audio/mp4", aac: "audio/aac", ogg: "audio/ogg",
+  flac: "audio/flac", aiff: "audio/aiff",
+  // 動画
+  mp4: "video/mp4", mov: "video/quicktime", webm: "video/webm", mpeg: "video/mpeg", mpg: "video/mpeg",
+  avi: "video/x-msvideo", wmv: "video/x-ms-wmv", "3gp": "video/3gpp", flv: "video/x-flv"
+};
+
+// Drive・Workspaceの入力
+const _GOOGLE_DOCS_MIME_TYPE = "application/vnd.google-apps.document";
+const _GOOGLE_SLIDES_MIME_TYPE = "application/vnd.google-apps.presentation";
+const _GOOGLE_SHEETS_MIME_TYPE = "application/vnd.google-apps.spreadsheet";
+const _DRIVE_BLOB_LIMIT_BYTES = 50 * 1024 * 1024; // GASのBlobで扱える上限
+const _SUPPORTED_MEDIA_MIME_TYPE_PATTERN = /^(image|audio|video|text)\/|^application\/pdf$/; // Gmailの添付ファイルで送信する形式
+
+// Files API関連のデフォルトパラメータ
+const _DEFAULT_INLINE_DATA_LIMIT_BYTES = 15 * 1024 * 1024; // これを超えるBlobはFiles API経由で送信
+const _FILE_UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024; // 256KBの倍数である必要がある
+const _DEFAULT_FILE_ACTIVE_TIMEOUT_MS = 2 * 60 * 1000;
+const _FILE_STATE_POLL_INTERVAL_MS = 2000;
 
 // 画像生成関連のデフォルトパラメータ  
 const _DEFAULT_IMAGE_ASPECT_RATIO = "1:1";
 const _DEFAULT_IMAGE_SAFETY_FILTER_LEVEL = "block_only_high";
 
+// 音声生成関連のデフォルトパラメータ
+const _DEFAULT_TTS_VOICE = "Kore";
+const _DEFAULT_TTS_SAMPLE_RATE = 24000; // レスポンスの mimeType に rate がない場合に使用
+const _TTS_MULTI_SPEAKER_COUNT = 2; // 複数話者の設定はちょうど2人である必要がある
+
+// 音声の文字起こし関連
+const _TRANSCRIPTION_TIMESTAMP_PATTERN = "^\\d{1,2}(:\\d{2}){0,2}(\\.\\d+)?$";
+
 // Gemini安全設定のデフォルト
 const _DEFAULT_SAFETY_SETTINGS = [
   {
@@ -32,6 +147,9 @@ const _DEFAULT_SAFETY_SETTINGS = [
   }
 ];
 
+// 安全性フィルターによるブロックを表す finishReason
+const _SAFETY_FINISH_REASONS = ["SAFETY", "BLOCKLIST", "PROHIBITED_CONTENT", "SPII", "IMAGE_SAFETY"];
+
 /**
  * Geminiクライアントオブジェクトを生成します。Google Gemini APIとの通信を管理するためのクライアントです。
  * このオブジェクトを通じて、Geminiのモデル（例えば、Gemini 2.5 Flash）を利用して
@@ -47,8 +165,48 @@ const _DEFAULT_SAFETY_SETTINGS = [
  * });
  * const response = client.simpleChat("Hello, world!");
  * 
+ * Vertex AIを使う場合:
+ * const client = createGeminiClient({
+ *   backend: 'vertex',
+ *   projectId: '<YOUR_PROJECT_ID>',
+ *   location: 'us-central1'
+ * });
+ *
  * @param {Object} config - オブジェクトの構成オプションを含む設定オブジェクト。
- * @param {string} config.apiKey - APIキーの文字列。必須です。
+ * @param {string} config.apiKey - APIキーの文字列。backend が "gemini" の場合は必須です。
+ * @param {string} [config.backend="gemini"] - 接続先。"gemini"（Gemini API）または "vertex"（Vertex AI）。
+ * @param {string} [config.projectId] - Vertex AIのGoogle CloudプロジェクトID。backend が "vertex" の場合は必須です。
+ * @param {string} [config.location="us-central1"] - Vertex AIのロケーション。"global" も指定可能です。
+ * @param {Function} [config.tokenProvider] - Vertex AIのアクセストークンを返す関数。省略時は serviceAccount があれば
+ *   サービスアカウントのJWTフローで、なければ ScriptApp.getOAuthToken() でトークンを取得します。
+ *   ScriptApp.getOAuthToken() を使う場合は、呼び出し側のスクリプトに cloud-platform スコープが必要です。
+ * @param {Object} [config.serviceAccount] - サービスアカウントのキーJSON（client_email, private_key を含むオブジェクト）。
+ * @param {number} [config.maxInputTokens] - 送信前に入力トークン数を数え、これを超える場合は送信しません。
+ * @param {Function} [config.onInputTokenLimit] - 入力トークン数が maxInputTokens を超えたときに呼ばれる関数。
+ *   {totalTokens, maxInputTokens, contents} を受け取り、削った contents 配列を返すと再チェックして送信します。
+ *   何も返さない場合は InputTokenLimitError をスローします。
+ * @param {Object} [config.pricing] - 料金表。モデル名（前方一致）をキーに {input, output, cachedInput}（USD / 100万トークン）を指定します。
+ *   指定したモデルはデフォルトの料金表より優先されます。
+ * @param {number} [config.maxFunctionCalls=10] - ツールの自動実行でモデルとやり取りする最大回数。
+ * @param {Object} [config.toolConfig] - ツールの呼び出し方。{functionCallingConfig: {mode, allowedFunctionNames}} の形式で、
+ *   mode は "AUTO"（既定）, "ANY"（最初のリクエストで必ずツールを呼ばせる）, "NONE"（ツールを呼ばせない）です。
+ * @param {number} [config.thinkingBudget] - 思考に使うトークン数の上限。0で思考を無効化（2.5 Flash系）、-1でモデルに任せます。
+ *   思考のトークンも maxTokens に含まれるため、分類などの軽い処理では 0 にすると安く速くなります。
+ * @param {boolean} [config.includeThoughts] - true にすると思考の要約を受け取ります（chat() の thoughts）。回答のテキストには含まれません。
+ * @param {boolean|Object} [config.googleSearch] - Google検索によるグラウンディングを有効にします。
+ * @param {boolean|Object} [config.urlContext] - プロンプト中のURLの内容を参照させます。
+ * @param {boolean|Object} [config.codeExecution] - モデルにPythonコードを実行させます。
+ *   googleSearch, urlContext, codeExecution は tools（関数呼び出し）と同じリクエストでは使えないため、
+ *   呼び出し時に tools を指定した場合は使われません（呼び出し時に両方を指定すると GeminiError をスローします）。
+ * @param {Function} [config.beforeToolCall] - ツールの実行前に (name, args) を受け取って呼ばれる関数。
+ *   false または {denied: true, reason} で実行を拒否、{args} で引数を書き換え、true または {approved: true} で承認します
+ *   （requiresApproval: true のツールは承認されない限り実行されません）。例外をスローすると生成全体を中断します。
+ * @param {Function} [config.afterToolCall] - ツールの実行後に (name, args, result, error) を受け取って呼ばれる関数。
+ *   undefined 以外を返すと、その値をツールの結果としてモデルに渡します（記録の status は "replaced" になります）。
+ *   例外をスローすると生成全体を中断します。
+ * @param {number} [config.toolTimeoutMs] - ツールの実行時間の上限（ミリ秒）。ツールごとの timeoutMs が優先されます。
+ *   実行を中断することはできないため、超えた場合は結果を破棄してタイムアウトとしてモデルに伝えます。
+ * @param {number} [config.inlineDataLimitBytes=15728640] - これを超えるサイズのBlobはFiles APIでアップロードしてから送信します（Gemini APIのみ）。
  * @param {string} [config.model="gemini-2.5-flash"] - 使用するモデルの識別子。省略可能で、デフォルトは gemini-2.5-flash です。
  * @param {number} [config.maxTokens=10000] - トークンの最大数。省略可能で、デフォルトは 10000 です。
  * @param {number} [config.temperature=0.6] - モデルの温度パラメータ。省略可能で、デフォルトは 0.6 です。
@@ -60,6 +218,23 @@ const _DEFAULT_SAFETY_SETTINGS = [
  * @param {Object} config.functions[].parameters - 関数の引数を定義するJSONスキーマ。
  * @param {number} [config.maxRetry=3] - 最大リトライ回数。省略可能で、デフォルトは3です。
  * @param {number} [config.maxRetryForFormatAiMessage=3] - responseSchema指定時にレスポンスJSON化の最大リトライ回数。省略可能で、デフォルトは3です。
+ * @param {Object} [config.retryPolicy] - リトライ方針。省略した項目はデフォルト値になります。
+ * @param {number[]} [config.retryPolicy.retryableStatuses=[429,500,502,503,504]] - リトライするHTTPステータス。通信エラーは常にリトライします。
+ * @param {number} [config.retryPolicy.initialDelayMs=1000] - 指数バックオフの初回待ち時間（ミリ秒）。
+ * @param {number} [config.retryPolicy.maxDelayMs=60000] - 1回あたりの待ち時間の上限（ミリ秒）。
+ * @param {boolean} [config.retryPolicy.jitter=true] - 待ち時間をランダムに揺らすかどうか。
+ * @param {number} [config.retryPolicy.maxElapsedMs=300000] - 1回のAPI呼び出しでリトライに費やす合計時間の上限（ミリ秒）。
+ * @param {Date|number} [config.retryPolicy.deadline] - これ以降はリトライしない時刻。省略するとクライアント生成時刻から
+ *   Apps Scriptの実行時間上限（6分）- deadlineMarginMs です。
+ * @param {number} [config.retryPolicy.deadlineMarginMs=30000] - deadline省略時に実行時間上限から差し引く余裕（ミリ秒）。
+ * @param {Function} [config.retryPolicy.onRetry] - リトライ前に呼ばれる関数。{attempt, delayMs, status, error, url} を受け取ります。
+ * @param {boolean|Object} [config.responseCache] - 同じリクエストのレスポンスをキャッシュします（generateContent, createEmbedding, imageGeneration）。
+ *   true で既定の設定になります。呼び出しごとに params.bypassCache: true でキャッシュを読まずにAPIを呼び出せます。
+ * @param {number} [config.responseCache.ttlSeconds=21600] - キャッシュの有効期間（秒）。6時間を超える場合は fallback に保存します。
+ * @param {Cache} [config.responseCache.cache] - 保存先のキャッシュ。省略時は CacheService.getScriptCache()。
+ * @param {string} [config.responseCache.fallback] - CacheServiceに保存できない場合の保存先（'properties' または 'drive'）。
+ * @param {Properties} [config.responseCache.properties] - fallback が 'properties' の場合の保存先。省略時はスクリプトプロパティ。
+ * @param {string} [config.responseCache.folderId] - fallback が 'drive' の場合の保存先フォルダのID。
  */
 function createGeminiClient(config) {
   return new Gemini(config);
@@ -72,13 +247,37 @@ class Gemini {
       throw new Error('Configuration object is required');
     }
 
-    // APIキーの検証
-    if (!config.apiKey || typeof config.apiKey !== 'string' || config.apiKey.trim() === '') {
+    // 接続先の検証
+    this.backend = config.backend || 'gemini';
+    if (!['gemini', 'vertex'].includes(this.backend)) {
+      throw new Error('backend must be "gemini" or "vertex"');
+    }
+
+    if (this.backend === 'vertex') {
+      if (!config.projectId || typeof config.projectId !== 'string') {
+        throw new Error('projectId is required when backend is "vertex"');
+      }
+      if (config.tokenProvider && typeof config.tokenProvider !== 'function') {
+        throw new Error('tokenProvider must be a function');
+      }
+      if (config.serviceAccount && (!config.serviceAccount.client_email || !config.serviceAccount.private_key)) {
+        throw new Error('serviceAccount must have client_email and private_key');
+      }
+    } else if (!config.apiKey || typeof config.apiKey !== 'string' || config.apiKey.trim() === '') {
+      // APIキーの検証
       throw new Error('Valid API key (non-empty string) is required');
     }
 
+    // Vertex AI関連のパラメータ
+    this.projectId = config.projectId;
+    this.location = config.location || _DEFAULT_VERTEX_LOCATION;
+    this.tokenProvider = config.tokenProvider;
+    this.serviceAccount = config.serviceAccount;
+    this.accessToken_ = null;
+    this.accessTokenExpiresAt_ = 0;
+
     // 基本パラメータ
-    this.apiKey = config.apiKey.trim();
+    this.apiKey = config.apiKey ? config.apiKey.trim() : null;
     this.model = config.model || _DEFAULT_GEMINI_MODEL;
     this.maxTokens = config.maxTokens || _DEFAULT_MAX_TOKENS;
     this.temperature = config.temperature !== undefined ? config.temperature : _DEFAULT_TEMPERATURE;
@@ -91,18 +290,47 @@ class Gemini {
     this.candidateCount = config.candidateCount || _DEFAULT_CANDIDATE_COUNT;
     this.safetySettings = config.safetySettings || _DEFAULT_SAFETY_SETTINGS;
     this.systemInstruction = config.systemInstruction;
+    this.thinkingBudget = config.thinkingBudget;
+    this.includeThoughts = config.includeThoughts;
     
     // その他のプロパティ
     this.images = config.images || [];
+    this.inlineDataLimitBytes = config.inlineDataLimitBytes || _DEFAULT_INLINE_DATA_LIMIT_BYTES;
+    this.maxInputTokens = config.maxInputTokens;
+    this.maxFunctionCalls = config.maxFunctionCalls || _DEFAULT_MAX_FUNCTION_CALLS;
+    this.toolConfig = config.toolConfig;
+    this.googleSearch = config.googleSearch;
+    this.urlContext = config.urlContext;
+    this.codeExecution = config.codeExecution;
+    this.beforeToolCall = config.beforeToolCall;
+    this.afterToolCall = config.afterToolCall;
+    this.toolTimeoutMs = config.toolTimeoutMs;
+    this.lastToolTrace = [];
+    this.onInputTokenLimit = config.onInputTokenLimit;
+
+    // レスポンスキャッシュ
+    this.responseCache = config.responseCache
+      ? Object.assign({}, _DEFAULT_RESPONSE_CACHE, config.responseCache === true ? {} : config.responseCache)
+      : null;
+
+    // 使用量の集計
+    this.pricing = Object.assign({}, _DEFAULT_PRICING, config.pricing);
+    this.resetUsage();
     this.maxRetryForFormatAiMessage = config.maxRetryForFormatAiMessage || _DEFAULT_MAX_RETRY;
 
+    // リトライ方針（クライアント生成時刻を実行開始時刻とみなしてデッドラインを決める）
+    this.createdAt = Date.now();
+    this.retryPolicy = Object.assign({}, _DEFAULT_RETRY_POLICY, config.retryPolicy);
+
     // 数値パラメータの検証
     this.validateNumericParam_('maxTokens', config.maxTokens, 1, 2097152);
     this.validateNumericParam_('temperature', config.temperature, 0, 2);
     this.validateNumericParam_('topP', config.topP, 0, 1);
     this.validateNumericParam_('topK', config.topK, 1, 100);
     this.validateNumericParam_('candidateCount', config.candidateCount, 1, 8);
+    this.validateNumericParam_('thinkingBudget', config.thinkingBudget, -1, 32768);
     this.validateNumericParam_('maxRetry', config.maxRetry, 1, 20);
+    this.validateNumericParam_('maxFunctionCalls', config.maxFunctionCalls, 1, 100);
 
     // モデル名の検証
     if (config.model && typeof config.model !== 'string') {
@@ -113,6 +341,25 @@ class Gemini {
     if (config.safetySettings && !Array.isArray(config.safetySettings)) {
       throw new Error('safetySettings must be an array');
     }
+
+    // リトライ方針の検証
+    if (!Array.isArray(this.retryPolicy.retryableStatuses)) {
+      throw new Error('retryPolicy.retryableStatuses must be an array');
+    }
+    if (this.retryPolicy.onRetry && typeof this.retryPolicy.onRetry !== 'function') {
+      throw new Error('retryPolicy.onRetry must be a function');
+    }
+
+    // レスポンスキャッシュの検証
+    if (this.responseCache) {
+      const fallback = this.responseCache.fallback;
+      if (fallback && fallback !== 'properties' && fallback !== 'drive') {
+        throw new Error('responseCache.fallback must be "properties" or "drive"');
+      }
+      if (fallback === 'drive' && !this.responseCache.folderId) {
+        throw new Error('responseCache.folderId is required when responseCache.fallback is "drive"');
+      }
+    }
   }
 
   /**
@@ -131,7 +378,7 @@ class Gemini {
    * params では今回の呼び出しにのみ適用されるパラメータを指定可能です。
    * 省略するとインスタンス化時に設定した値になります。
    * 
-   * @param {string} prompt - 生成用のプロンプト
+   * @param {string|Array} prompt - 生成用のプロンプト。generateContent と同じく parts 配列や contents 配列も指定できます。
    * @param {Object} [params] - 生成オプションを含む設定オブジェクト。
    * @param {string} [params.model] - 使用するモデルの識別子。
    * @param {number} [params.maxTokens] - トークンの最大数。
@@ -141,32 +388,519 @@ class Gemini {
    * @param {Object[]} [params.functions] - AIが必要に応じて実行する関数のオプションのリスト。
    * @param {number} [params.maxRetry] - 最大リトライ回数。
    * @param {number} [params.maxRetryForFormatAiMessage=3] - responseSchema指定時にレスポンスJSON化の最大リトライ回数。
+   * @param {boolean} [params.returnDetails=false] - true の場合、chat() と同じ詳細な結果オブジェクトを返します。
    * @return {Object|string} params.responseSchema を指定していればその型のオブジェクト、そうでなければテキスト
-   * @throws {Error} Gemini APIレイヤでのエラーが発生した場合に例外をスローします。
+   * @throws {GeminiApiError} Gemini APIレイヤでのエラーが発生した場合（429の場合は RateLimitError）。
+   * @throws {SafetyBlockedError} プロンプトまたは生成内容が安全性フィルターによってブロックされた場合。
+   * @throws {MaxTokensError} 生成がトークン上限に達した場合。
+   * @throws {SchemaParseError} responseSchema 指定時にJSONパースに失敗した場合。
    */
   simpleChat(prompt, params={}) {
+    if (params.returnDetails) {
+      return this.chat(prompt, params);
+    }
+
     const result = this.generateContent(prompt, params);
+    return this.extractChatResult_(result, params);
+  }
+
+  /**
+   * AIにプロンプトを渡して文字列を生成させ、トークン使用量や終了理由などを含む詳細な結果を返します。
+   * simpleChat と異なり、トークン上限や安全性フィルターで生成が止まった場合も例外をスローせず、
+   * finishReason で判別できる形で結果を返します。
+   *
+   * 使用方法:
+   * const result = client.chat("こんにちは");
+   * if (result.finishReason === "MAX_TOKENS") { ... }
+   * Logger.log(result.usage.totalTokenCount);
+   *
+   * 戻り値のプロパティ:
+   * - text: 最初の候補のテキスト
+   * - json: responseSchema 指定時、最初の候補をパースしたオブジェクト
+   * - thoughts: includeThoughts 指定時、最初の候補の思考の要約（text には含まれません）
+   * - thoughtsTokenCount: 思考に使われたトークン数
+   * - candidates: 全候補（index, text, json, thoughts, finishReason, safetyRatings, grounding, urlContext, codeExecutions, parts）
+   * - finishReason: 最初の候補の終了理由（STOP, MAX_TOKENS, SAFETY など）
+   * - usage: usageMetadata（promptTokenCount, candidatesTokenCount など）
+   * - safetyRatings: 最初の候補の安全性評価
+   * - grounding: Google検索の根拠（sources: [{uri, title}], citations: [{text, startIndex, endIndex, sources}],
+   *   searchQueries, searchEntryPointHtml, raw）。googleSearch を使っていない場合は null
+   * - urlContext: urlContext で取得したURLの一覧（retrievedUrl, urlRetrievalStatus）
+   * - codeExecutions: codeExecution で実行したコードと結果（code, language, outcome, output）
+   * - promptFeedback: プロンプト自体に対するフィードバック（ブロック理由など）
+   * - toolCalls: ツール呼び出しの一覧（name, args, result, error）
+   * - toolTrace: ツール実行の記録（getLastToolTrace() と同じ形式）
+   * - modelVersion: 応答したモデルのバージョン
+   * - raw: Gemini APIからのレスポンス全体
+   *
+   * @param {string} prompt - 生成用のプロンプト
+   * @param {Object} [params] - simpleChat と同じ生成オプション。
+   * @return {Object} 詳細な結果オブジェクト
+   * @throws {Error} Gemini APIレイヤでのエラーが発生した場合に例外をスローします。
+   */
+  chat(prompt, params={}) {
+    const contents = this.toContents_(prompt, params, true);
+
+    const result = this.generateContentWithDetails_(contents, params);
+    return this.buildChatDetails_(result.response, params, contents.slice(result.inputTurnCount), result.toolTrace);
+  }
+
+  /**
+   * ストリーミング（streamGenerateContent）でコンテンツを生成し、チャンクごとにコールバックを呼び出します。
+   * Apps ScriptのUrlFetchAppはレスポンスを逐次受け取れないため、コールバックは
+   * レスポンス受信後にServer-Sent Eventsのチャンク順に呼び出されます。
+   * 生成途中でエラーになった場合も、それまでに生成された内容は例外の partialResult から取得できます。
+   * ツールの自動実行（Function Callingのループ）には対応していません。
+   *
+   * 使用方法:
+   * const result = client.streamChat("長い物語を書いて", {}, chunk => {
+   *   body.appendParagraph(chunk.text);
+   * });
+   *
+   * @param {string} prompt - 生成用のプロンプト
+   * @param {Object} [params] - tools を除く generateContent と同じ生成オプション。
+   * @param {Function} [onChunk] - チャンクごとに呼ばれる関数。以下のプロパティを持つオブジェクトを受け取ります。
+   *   index（チャンク番号）, text（このチャンクのテキスト）, thoughts（このチャンクの思考の要約）, accumulatedText（ここまでのテキスト）,
+   *   finishReason, usage, raw（チャンクのレスポンス全体）
+   * @return {Object} 全チャンクを結合した chat() と同じ形式の詳細な結果オブジェクト
+   * @throws {GeminiApiError} Gemini APIレイヤでのエラーが発生した場合。partialResult に途中までの結果を持ちます。
+   */
+  streamChat(prompt, params={}, onChunk=null) {
+    if (typeof params === 'function') {
+      onChunk = params;
+      params = {};
+    }
+
+    const contents = this.toContents_(prompt, params, true);
+    const payload = this.buildGenerateContentPayload_(contents, params);
+    const url = this.getStreamGenerateContentUrl_(params);
+
+    // イベントの解釈はリトライの外で行う（壊れたイベントがあっても再送信せず、受信済みの分を partialResult に残す）
+    const body = this.callApi_(url, payload, params.maxRetry, content => content);
+    const events = this.parseServerSentEvents_(body);
+
+    const aggregated = { candidates: [] };
+    let accumulatedText = '';
+
+    try {
+      events.forEach((chunk, index) => {
+        if (chunk.error) {
+          throw GeminiApiError.fromErrorBody_(chunk.error);
+        }
+        if (chunk.malformedData !== undefined) {
+          throw new GeminiError("ストリーミングのイベントをJSONとして解釈できませんでした: " + chunk.malformedData);
+        }
+
+        this.mergeStreamChunk_(aggregated, chunk);
+
+        const candidate = chunk.candidates && chunk.candidates[0];
+        const parts = (candidate && candidate.content && candidate.content.parts) || [];
+        const text = this.getTextFromParts_(parts) || '';
+        accumulatedText += text;
+
+        if (onChunk) {
+          onChunk({
+            index: index,
+            text: text,
+            thoughts: this.getTextFromParts_(parts, true),
+            accumulatedText: accumulatedText,
+            finishReason: (candidate && candidate.finishReason) || null,
+            usage: chunk.usageMetadata || null,
+            raw: chunk
+          });
+        }
+      });
+    } catch (e) {
+      // 途中までの生成内容を失わないよう例外に添付する
+      if (e && typeof e === 'object') {
+        const first = aggregated.candidates[0];
+        e.partialResult = {
+          text: accumulatedText,
+          finishReason: (first && first.finishReason) || null,
+          usage: aggregated.usageMetadata || null,
+          raw: aggregated
+        };
+      }
+      throw e;
+    }
+
+    this.recordUsage_('stream', params.model || this.model, aggregated);
+    return this.buildChatDetails_(aggregated, params);
+  }
+
+  /**
+   * Server-Sent Events形式のレスポンスボディを、イベントごとのJSONの配列に変換します。
+   * JSONとして解釈できないイベントは {malformedData} として配列に含めます。
+   *
+   * @param {string} content - レスポンスボディ
+   * @return {Object[]} イベントごとのJSON
+   */
+  parseServerSentEvents_(content) {
+    const events = [];
+    let dataLines = [];
+
+    const flush = () => {
+      if (dataLines.length === 0) {
+        return;
+      }
+      const data = dataLines.join('\n');
+      dataLines = [];
+      if (data.trim() === '' || data.trim() === '[DONE]') {
+        return;
+      }
+      try {
+        events.push(JSON.parse(data));
+      } catch (e) {
+        events.push({ malformedData: data });
+      }
+    };
+
+    content.split(/\r?\n/).forEach(line => {
+      if (line === '') {
+        flush();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.substring(5).replace(/^ /, ''));
+      }
+      // event:, id:, コメント行（:）などは使用しないので無視
+    });
+    flush();
+
+    return events;
+  }
+
+  /**
+   * ストリーミングのチャンクを、generateContent のレスポンスと同じ形式のオブジェクトに結合します。
+   * 連続するテキストのpartは1つにまとめます。
+   *
+   * @param {Object} aggregated - 結合先のレスポンスオブジェクト
+   * @param {Object} chunk - ストリーミングのチャンク
+   */
+  mergeStreamChunk_(aggregated, chunk) {
+    (chunk.candidates || []).forEach((candidate, i) => {
+      const index = candidate.index !== undefined ? candidate.index : i;
+      if (!aggregated.candidates[index]) {
+        aggregated.candidates[index] = { index: index, content: { role: "model", parts: [] } };
+      }
+      const target = aggregated.candidates[index];
+
+      const parts = (candidate.content && candidate.content.parts) || [];
+      parts.forEach(part => {
+        const last = target.content.parts[target.content.parts.length - 1];
+        // テキストだけの part は、思考の要約か回答かが同じであれば連結する
+        const isPlainText = p => typeof p.text === 'string' && Object.keys(p).every(key => key === 'text' || key === 'thought');
+        if (isPlainText(part) && last && isPlainText(last) && !!last.thought === !!part.thought) {
+          last.text += part.text;
+        } else {
+          target.content.parts.push(Object.assign({}, part));
+        }
+      });
+
+      ['finishReason', 'safetyRatings', 'citationMetadata', 'groundingMetadata', 'urlContextMetadata'].forEach(key => {
+        if (candidate[key] !== undefined) {
+          target[key] = candidate[key];
+        }
+      });
+    });
+
+    ['usageMetadata', 'modelVersion', 'responseId', 'promptFeedback'].forEach(key => {
+      if (chunk[key] !== undefined) {
+        aggregated[key] = chunk[key];
+      }
+    });
+  }
+
+  /**
+   * 複数のプロンプトを並列に処理します。
+   * simpleChat と同じ方法でリクエストを構築し、concurrency 件ずつ UrlFetchApp.fetchAll で同時に送信します。
+   * レート制限などで失敗したものだけを retryPolicy に従って再送信し、1件の失敗で全体を中断することはありません。
+   * ツールの自動実行（Function Callingのループ）と maxInputTokens のチェックには対応していません。
+   *
+   * 使用方法:
+   * const results = client.batchChat(values.map(row => `次の文を英訳して: ${row[0]}`), {}, { concurrency: 20 });
+   * results.forEach(item => Logger.log(item.ok ? item.result : item.error.message));
+   *
+   * @param {Array<string|Object[]>} prompts - プロンプトの配列。各要素は simpleChat のプロンプト、parts 配列、または contents 配列。
+   * @param {Object} [params] - 全プロンプトに共通の、simpleChat と同じ生成オプション（returnDetails も指定可能）。
+   * @param {Object} [options] - 並列実行の設定オブジェクト
+   * @param {number} [options.concurrency=10] - 同時に送信するリクエスト数。
+   * @return {Object[]} 入力と同じ順序の結果。各要素は index, ok, result（simpleChat または chat() と同じ形式）, error を持ちます。
+   */
+  batchChat(prompts, params={}, options={}) {
+    if (!Array.isArray(prompts)) {
+      throw new Error('prompts must be an array');
+    }
+
+    const concurrency = options.concurrency || _DEFAULT_BATCH_CONCURRENCY;
+    const url = this.getGenerateContentUrl_(params);
+    const model = params.model || this.model;
+    const results = new Array(prompts.length);
+
+    const setResult = (index, result, error) => {
+      results[index] = { index: index, ok: !error, result: error ? null : result, error: error || null };
+    };
+
+    // リクエストの構築（メディアの変換エラーなどはその要素だけのエラーにする）
+    const items = [];
+    prompts.forEach((prompt, index) => {
+      try {
+        const contents = this.toContents_(prompt, params, true);
+        const payload = this.buildGenerateContentPayload_(contents, params);
+        items.push({
+          index: index,
+          request: Object.assign({ url: url }, this.buildRequestOptions_('post', payload))
+        });
+      } catch (e) {
+        setResult(index, null, e);
+      }
+    });
+
+    Logger.log(`batchChat: ${items.length} prompts, concurrency=${concurrency}`);
+
+    for (let i = 0; i < items.length; i += concurrency) {
+      const outcomes = this.fetchAllWithRetry_(items.slice(i, i + concurrency), params.maxRetry || this.maxRetry);
+
+      outcomes.forEach(outcome => {
+        if (outcome.error) {
+          setResult(outcome.index, null, outcome.error);
+          return;
+        }
+
+        try {
+          this.recordUsage_('batchChat', model, outcome.response);
+          const result = params.returnDetails
+            ? this.buildChatDetails_(outcome.response, params)
+            : this.extractChatResult_(outcome.response, params);
+          setResult(outcome.index, result, null);
+        } catch (e) {
+          setResult(outcome.index, null, e);
+        }
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * generateContent のレスポンスから chat() 形式の詳細な結果オブジェクトを構築します。
+   *
+   * @param {Object} result - Gemini APIからのレスポンス
+   * @param {Object} [params] - 呼び出し時の設定オブジェクト
+   * @param {Object[]} [toolTurns] - Function Callingのループで contents に追加されたターン
+   * @param {Object[]} [toolTrace] - その生成でのツール実行の記録
+   * @return {Object} 詳細な結果オブジェクト
+   * @throws {GeminiApiError} レスポンスがAPIエラーの場合に例外をスローします。
+   * @throws {SchemaParseError} responseSchema 指定時にJSONパースに失敗した場合に例外をスローします。
+   */
+  buildChatDetails_(result, params={}, toolTurns=[], toolTrace=[]) {
     if (result.error) {
-      throw new Error("API エラー: " + JSON.stringify(result.error));
+      throw GeminiApiError.fromErrorBody_(result.error);
+    }
+
+    const responseSchema = params.responseSchema || this.responseSchema;
+
+    const candidates = (result.candidates || []).map((candidate, i) => {
+      const parts = (candidate.content && candidate.content.parts) || [];
+      const text = this.getTextFromParts_(parts);
+
+      let json = null;
+      if (responseSchema && text !== null) {
+        try {
+          json = JSON.parse(text);
+        } catch (e) {
+          // トークン上限で途切れたJSONはパースできないのが当然なので、finishReason で判別させる
+          if (candidate.finishReason !== "MAX_TOKENS") {
+            throw new SchemaParseError("JSONパースに失敗しました。レスポンス: " + text + ", エラー: " + e.toString(), { rawText: text, cause: e });
+          }
+        }
+      }
+
+      return {
+        index: candidate.index !== undefined ? candidate.index : i,
+        text: text,
+        json: json,
+        thoughts: this.getTextFromParts_(parts, true),
+        finishReason: candidate.finishReason || null,
+        safetyRatings: candidate.safetyRatings || [],
+        grounding: this.extractGrounding_(candidate),
+        urlContext: (candidate.urlContextMetadata && candidate.urlContextMetadata.urlMetadata) || [],
+        codeExecutions: this.extractCodeExecutions_(parts),
+        parts: parts
+      };
+    });
+
+    const first = candidates[0];
+
+    return {
+      text: first ? first.text : null,
+      json: first ? first.json : null,
+      thoughts: first ? first.thoughts : null,
+      thoughtsTokenCount: (result.usageMetadata && result.usageMetadata.thoughtsTokenCount) || 0,
+      candidates: candidates,
+      finishReason: first ? first.finishReason : null,
+      usage: result.usageMetadata || null,
+      safetyRatings: first ? first.safetyRatings : [],
+      grounding: first ? first.grounding : null,
+      urlContext: first ? first.urlContext : [],
+      codeExecutions: first ? first.codeExecutions : [],
+      promptFeedback: result.promptFeedback || null,
+      toolCalls: this.extractToolCalls_(toolTurns),
+      toolTrace: toolTrace.slice(),
+      modelVersion: result.modelVersion || null,
+      raw: result
+    };
+  }
+
+  /**
+   * parts のテキストを連結して返します。
+   * コード実行や検索を使うと、回答のテキストが複数の part に分かれるためです。
+   * 思考の要約（thought: true の part）は回答に含めません。
+   *
+   * @param {Object[]} parts - 候補の parts 配列
+   * @param {boolean} [thoughts=false] - true の場合、回答ではなく思考の要約を連結して返します
+   * @return {string|null} テキスト。該当する part がない場合は null
+   */
+  getTextFromParts_(parts, thoughts=false) {
+    const textParts = parts.filter(part => typeof part.text === 'string' && !!part.thought === thoughts);
+    return textParts.length > 0 ? textParts.map(part => part.text).join('') : null;
+  }
+
+  /**
+   * 候補の groundingMetadata から、根拠のWebページと、回答のどの部分がどのページに基づくかを取り出します。
+   *
+   * @param {Object} candidate - レスポンスの候補
+   * @return {Object|null} sources, citations, searchQueries, searchEntryPointHtml, raw。groundingMetadata がなければ null
+   */
+  extractGrounding_(candidate) {
+    const metadata = candidate.groundingMetadata;
+    if (!metadata) {
+      return null;
     }
 
-    // Function Callingの結果処理
-    if (result.candidates && result.candidates[0] && result.candidates[0].content) {
+    const sources = (metadata.groundingChunks || []).map(chunk => {
+      const source = chunk.web || chunk.retrievedContext || {};
+      return { uri: source.uri || null, title: source.title || null };
+    });
+
+    const citations = (metadata.groundingSupports || []).map(support => {
+      const segment = support.segment || {};
+      return {
+        text: segment.text || '',
+        startIndex: segment.startIndex || 0,
+        endIndex: segment.endIndex || 0,
+        sources: (support.groundingChunkIndices || []).map(index => sources[index]).filter(source => source)
+      };
+    });
+
+    return {
+      sources: sources,
+      citations: citations,
+      searchQueries: metadata.webSearchQueries || [],
+      searchEntryPointHtml: (metadata.searchEntryPoint && metadata.searchEntryPoint.renderedContent) || null,
+      raw: metadata
+    };
+  }
+
+  /**
+   * parts から、コード実行で実行したコード（executableCode）とその結果（codeExecutionResult）を組にして取り出します。
+   *
+   * @param {Object[]} parts - 候補の parts 配列
+   * @return {Object[]} 実行したコードの一覧（code, language, outcome, output）
+   */
+  extractCodeExecutions_(parts) {
+    const executions = [];
+    parts.forEach(part => {
+      if (part.executableCode) {
+        executions.push({
+          code: part.executableCode.code,
+          language: part.executableCode.language || null,
+          outcome: null,
+          output: null
+        });
+      } else if (part.codeExecutionResult) {
+        let last = executions[executions.length - 1];
+        if (!last || last.outcome !== null) {
+          last = { code: null, language: null, outcome: null, output: null };
+          executions.push(last);
+        }
+        last.outcome = part.codeExecutionResult.outcome || null;
+        last.output = part.codeExecutionResult.output || '';
+      }
+    });
+    return executions;
+  }
+
+  /**
+   * Function Callingのループで追加されたターンから、ツール呼び出しの一覧を取り出します。
+   * functionResponse は、APIが id を付けていれば同じ id の functionCall に、なければ同じ名前の最も古い呼び出しに対応させます。
+   *
+   * @param {Object[]} turns - functionCall を含むモデルのターンと functionResponse を含むユーザーのターン
+   * @return {Object[]} ツール呼び出しの一覧（name, args, result, error）
+   */
+  extractToolCalls_(turns) {
+    const toolCalls = [];
+    const pending = [];
+
+    turns.forEach(turn => {
+      (turn.parts || []).forEach(part => {
+        if (part.functionCall) {
+          const call = {
+            name: part.functionCall.name,
+            args: part.functionCall.args || {},
+            result: undefined,
+            error: null
+          };
+          toolCalls.push(call);
+          pending.push({ id: part.functionCall.id, call: call });
+        } else if (part.functionResponse) {
+          const id = part.functionResponse.id;
+          const index = id
+            ? pending.findIndex(entry => entry.id === id)
+            : pending.findIndex(entry => entry.call.name === part.functionResponse.name);
+          if (index < 0) {
+            return;
+          }
+          const call = pending.splice(index, 1)[0].call;
+          const response = part.functionResponse.response || {};
+          if (response.error !== undefined) {
+            call.error = response.error;
+          } else {
+            try {
+              call.result = typeof response.result === 'string' ? JSON.parse(response.result) : response.result;
+            } catch (e) {
+              call.result = response.result;
+            }
+          }
+        }
+      });
+    });
+
+    return toolCalls;
+  }
+
+  /**
+   * generateContent のレスポンスから simpleChat 形式の結果を取り出します。
+   *
+   * @param {Object} result - Gemini APIからのレスポンス
+   * @param {Object} [params] - 呼び出し時の設定オブジェクト
+   * @return {Object|string} params.responseSchema を指定していればその型のオブジェクト、そうでなければテキスト
+   * @throws {Error} レスポンスがエラーまたは予期しない形式の場合に例外をスローします。
+   */
+  extractChatResult_(result, params={}) {
+    this.throwIfResponseError_(result);
+
+    const candidate = result.candidates && result.candidates[0];
+    if (candidate) {
+      const parts = candidate.content && candidate.content.parts;
+
       // partsが存在しない場合のエラーハンドリング
-      if (!result.candidates[0].content.parts || result.candidates[0].content.parts.length === 0) {
-        // finishReasonをチェック
-        const finishReason = result.candidates[0].finishReason;
-        if (finishReason === "MAX_TOKENS") {
-          throw new Error("レスポンスがトークン上限に達しました。maxTokensを増やしてください。現在の設定: " + (params.maxTokens || this.maxTokens));
-        } else if (finishReason === "SAFETY") {
-          throw new Error("コンテンツが安全性フィルターによってブロックされました。");
-        } else {
-          throw new Error("予期しないレスポンス形式です: " + JSON.stringify(result));
+      if (!parts || parts.length === 0) {
+        const finishReasonError = this.createFinishReasonError_(candidate, params, '', result.usageMetadata);
+        if (finishReasonError) {
+          throw finishReasonError;
         }
+        throw new GeminiError("予期しないレスポンス形式です: " + JSON.stringify(result));
       }
       
-      const parts = result.candidates[0].content.parts;
-      
       // Function callがある場合の処理
       const functionCall = parts.find(part => part.functionCall);
       if (functionCall) {
@@ -176,29 +910,199 @@ class Gemini {
         try {
           resObj = JSON.parse(argJson);
         } catch (e) {
-          throw new Error("JSONパースに失敗しました。完全なJSONになっていない場合、params.maxTokensを増やしてみてください。: argJson=" + argJson + ", 元のError=" + e.toString());
+          throw new SchemaParseError("JSONパースに失敗しました。完全なJSONになっていない場合、params.maxTokensを増やしてみてください。: argJson=" + argJson + ", 元のError=" + e.toString(), { rawText: argJson, cause: e });
         }
 
         return resObj;
       }
       
       // 通常のテキストレスポンス
-      const textPart = parts.find(part => part.text);
-      if (textPart) {
+      const text = this.getTextFromParts_(parts);
+      if (text) {
         // responseSchemaが指定されている場合はJSONパースしてオブジェクトを返す
         const responseSchema = params.responseSchema || this.responseSchema;
         if (responseSchema) {
+          let parsed;
           try {
-            return JSON.parse(textPart.text);
+            parsed = JSON.parse(text);
           } catch (e) {
-            throw new Error("JSONパースに失敗しました。レスポンス: " + textPart.text + ", エラー: " + e.toString());
+            // トークン上限で途切れている場合はパースエラーではなくトークン上限として扱う
+            const finishReasonError = this.createFinishReasonError_(candidate, params, text, result.usageMetadata);
+            if (finishReasonError) {
+              throw finishReasonError;
+            }
+            throw new SchemaParseError("JSONパースに失敗しました。レスポンス: " + text + ", エラー: " + e.toString(), { rawText: text, cause: e });
+          }
+
+          const violations = this.validateJsonSchema_(parsed, responseSchema);
+          if (violations.length > 0) {
+            throw this.createSchemaValidationError_(violations, text);
           }
+          return parsed;
         }
-        return textPart.text;
+        return text;
       }
+
+      // 思考だけで上限に達した場合など、回答のテキストがないまま終わった場合
+      const finishReasonError = this.createFinishReasonError_(candidate, params, '', result.usageMetadata);
+      if (finishReasonError) {
+        throw finishReasonError;
+      }
+    }
+
+    throw new GeminiError("予期しないレスポンス形式です: " + JSON.stringify(result));
+  }
+
+  /**
+   * レスポンスがAPIエラー、またはプロンプト自体がブロックされた結果であれば例外をスローします。
+   *
+   * @param {Object} result - Gemini APIからのレスポンス
+   * @throws {GeminiApiError} レスポンスがAPIエラーの場合
+   * @throws {SafetyBlockedError} プロンプトが安全性フィルターによってブロックされた場合
+   */
+  throwIfResponseError_(result) {
+    if (result.error) {
+      throw GeminiApiError.fromErrorBody_(result.error);
+    }
+
+    const hasCandidates = result.candidates && result.candidates.length > 0;
+    if (!hasCandidates && result.promptFeedback && result.promptFeedback.blockReason) {
+      throw new SafetyBlockedError("プロンプトが安全性フィルターによってブロックされました: " + result.promptFeedback.blockReason, {
+        blockReason: result.promptFeedback.blockReason,
+        safetyRatings: result.promptFeedback.safetyRatings
+      });
+    }
+  }
+
+  /**
+   * 候補の finishReason に対応する例外オブジェクトを生成します。
+   *
+   * @param {Object} candidate - レスポンスの候補
+   * @param {Object} [params] - 呼び出し時の設定オブジェクト
+   * @param {string} [partialText] - 途中まで生成されたテキスト
+   * @param {Object} [usageMetadata] - レスポンスの usageMetadata（思考のトークン数をメッセージに含めるため）
+   * @return {GeminiError|null} トークン上限・安全性ブロックでない場合は null
+   */
+  createFinishReasonError_(candidate, params={}, partialText='', usageMetadata=null) {
+    const finishReason = candidate.finishReason;
+    if (finishReason === "MAX_TOKENS") {
+      // 思考のトークンも maxTokens に含まれるため、思考で上限に達した場合はその旨を伝える
+      const thoughtsTokenCount = (usageMetadata && usageMetadata.thoughtsTokenCount) || 0;
+      const thoughtsMessage = thoughtsTokenCount > 0
+        ? `（うち思考: ${thoughtsTokenCount}トークン。thinkingBudget で思考のトークン数を抑えることもできます）`
+        : '';
+      return new MaxTokensError("レスポンスがトークン上限に達しました。maxTokensを増やしてください。現在の設定: " + (params.maxTokens || this.maxTokens) + thoughtsMessage, {
+        partialText: partialText,
+        thoughtsTokenCount: thoughtsTokenCount
+      });
+    } else if (_SAFETY_FINISH_REASONS.includes(finishReason)) {
+      return new SafetyBlockedError("コンテンツが安全性フィルターによってブロックされました。", {
+        blockReason: finishReason,
+        safetyRatings: candidate.safetyRatings
+      });
+    }
+    return null;
+  }
+
+  /**
+   * 直前の生成（simpleChat, chat, generateContent, チャットセッションの sendMessage）で
+   * 実行したツールの記録を返します。
+   *
+   * 各要素のプロパティ:
+   * - name: ツール名
+   * - args: 実行した引数（beforeToolCall で書き換えた場合は書き換え後）
+   * - requestedArgs: モデルが指定した引数
+   * - status: "ok", "error", "denied"（拒否・未承認）, "invalid"（引数の検証エラー）, "timeout"
+   * - result: ツールの戻り値
+   * - error: エラーの内容（文字列）
+   * - startedAt: 実行を開始した日時
+   * - durationMs: 実行にかかった時間（ミリ秒）
+   *
+   * @return {Object[]} ツール実行の記録
+   */
+  getLastToolTrace() {
+    return this.lastToolTrace.slice();
+  }
+
+  /**
+   * 会話履歴を保持するチャットセッションを開始します。
+   * セッションの sendMessage() を呼ぶたびに、ユーザーとモデルのターン
+   * （Function Callingの functionCall / functionResponse ターンを含む）が履歴に追加されます。
+   *
+   * 使用方法:
+   * const chat = client.startChat({ systemInstruction: "あなたは親切なアシスタントです。" });
+   * chat.sendMessage("こんにちは");
+   * PropertiesService.getUserProperties().setProperty("chat", chat.serialize());
+   *
+   * @param {Object} [options] - セッションの設定オブジェクト。
+   * @param {Object[]} [options.history] - Gemini APIの contents 形式の会話履歴。
+   * @param {string} [options.systemInstruction] - システム指示。
+   * @param {Object[]} [options.tools] - AIが必要に応じて実行するツールのリスト。
+   * その他、generateContent の params と同じオプションをセッション全体の既定値として指定できます。
+   * @return {GeminiChatSession} チャットセッション
+   */
+  startChat(options={}) {
+    return new GeminiChatSession(this, options);
+  }
+
+  /**
+   * serialize() で保存したチャットセッションを復元します。
+   * ツールの関数はJSON化できないため、必要であれば options.tools で指定し直してください。
+   *
+   * @param {string|Object} serialized - GeminiChatSession#serialize() の戻り値、または toJSON() の戻り値
+   * @param {Object} [options] - startChat と同じ設定オブジェクト。保存されていた値より優先されます。
+   * @return {GeminiChatSession} チャットセッション
+   */
+  restoreChat(serialized, options={}) {
+    const data = typeof serialized === 'string' ? JSON.parse(serialized) : serialized;
+    if (!data || !Array.isArray(data.history)) {
+      throw new Error('Invalid serialized chat: history must be an array');
     }
 
-    throw new Error("予期しないレスポンス形式です: " + JSON.stringify(result));
+    const restoredOptions = {};
+    if (data.systemInstruction) {
+      restoredOptions.systemInstruction = data.systemInstruction;
+    }
+
+    return this.startChat(Object.assign(restoredOptions, options, { history: data.history }));
+  }
+
+  /**
+   * Apps Scriptの実行時間上限（6分）をまたいで大量のアイテムを処理するジョブランナーを生成します。
+   * 進捗は PropertiesService に保存され、時間切れが近づくと処理を中断して継続用のトリガーを登録し、
+   * 次の実行では最後に完了したアイテムの次から再開します。アイテムごとのエラーは記録して処理を続けます。
+   *
+   * 使用方法（continueTranslation はトリガーから呼ばれるグローバル関数）:
+   * function continueTranslation() {
+   *   const range = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("data").getRange("A2:A1001");
+   *   client.createJobRunner({
+   *     jobId: "translation",
+   *     source: range,
+   *     outputColumn: 2,
+   *     params: { systemInstruction: "英語に翻訳してください" },
+   *     continuationFunction: "continueTranslation"
+   *   }).run();
+   * }
+   *
+   * @param {Object} options - ジョブの設定オブジェクト。
+   * @param {string} options.jobId - ジョブの識別子。進捗の保存先のキーになります。
+   * @param {Array|Range} options.source - 処理するアイテムの配列、またはスプレッドシートの範囲（1行が1アイテム）。
+   * @param {Function} [options.processItem] - アイテムを処理する関数。(item, index, client) を受け取り結果を返します。
+   *   省略すると、アイテム（範囲の場合は行の先頭のセル）をプロンプトとして simpleChat を呼び出します。
+   * @param {Object} [options.params] - processItem 省略時に simpleChat に渡すパラメータ。
+   * @param {number} [options.outputColumn] - source が範囲の場合に、結果を書き込む列番号（1始まり、シート上の列）。
+   * @param {Function} [options.onResult] - アイテムの処理が成功するたびに呼ばれる関数。(result, item, index) を受け取ります。
+   * @param {Function} [options.onError] - アイテムの処理が失敗するたびに呼ばれる関数。(error, item, index) を受け取ります。
+   * @param {string} [options.continuationFunction] - 中断時に時間主導型トリガーで呼び出すグローバル関数名。
+   * @param {number} [options.continuationDelayMs=60000] - 継続用トリガーを実行するまでの時間（ミリ秒）。
+   * @param {number} [options.timeBudgetMs=300000] - run() を呼んだ時刻から数えた、1回の実行で処理に使う時間（ミリ秒）。
+   * @param {Properties} [options.properties] - 進捗の保存先。省略時は PropertiesService.getScriptProperties()。
+   * @param {Lock} [options.lock] - 同じジョブの同時実行を防ぐロック。省略時は properties に jobId ごとの実行中フラグを置いて防ぐため、
+   *   別のジョブは同時に実行できます（フラグの読み書きの間だけ LockService.getScriptLock() を使います）。
+   * @return {GeminiJobRunner} ジョブランナー
+   */
+  createJobRunner(options) {
+    return new GeminiJobRunner(this, options);
   }
 
   /**
@@ -206,7 +1110,9 @@ class Gemini {
    * params では今回の呼び出しにのみ適用されるパラメータを指定可能です。
    * 省略するとインスタンス化時に設定した値になります。
    * 
-   * @param {string} prompt - 生成用のプロンプト
+   * @param {string|Array} prompt - 生成用のプロンプト。文字列のほか、テキストとメディアを好きな順に並べた配列
+   *   （文字列, Blob, DriveのFile, {fileUri, mimeType}, {inlineData}, Gemini APIの part）や、
+   *   role を持つターンの contents 配列（マルチターンの会話）も指定できます。
    * @param {Object} [params] - 生成オプションを含む設定オブジェクト。
    * @param {string} [params.model] - 使用するモデルの識別子。
    * @param {number} [params.maxTokens] - トークンの最大数。
@@ -216,142 +1122,187 @@ class Gemini {
    * @param {number} [params.candidateCount] - 生成する候補数（1-8）。
    * @param {Object} [params.responseSchema] - AIからの出力フォーマットを表すJSONスキーマ。
    * @param {Object[]} [params.tools] - AIが必要に応じて実行するツールのリスト。
-   * @param {Blob[]} [params.images] - 画像です。Geminiのマルチモーダル機能で処理されます。
-   * @param {Blob[]} [params.videos] - 動画です。Geminiの動画分析機能で処理されます。
+   *   モデルが1ターンで複数のツールを呼び出した場合はすべて実行します。independent: true で fetchRequest(args) を持つツールは、
+   *   そのHTTPリクエストを同じターンの他のツールとまとめて UrlFetchApp.fetchAll で送信し、execute(args, response) を呼びます。
+   * @param {number} [params.thinkingBudget] - 思考に使うトークン数の上限（config.thinkingBudget と同じ）。
+   * @param {boolean} [params.includeThoughts] - 思考の要約を受け取るかどうか（config.includeThoughts と同じ）。
+   * @param {boolean|Object} [params.googleSearch] - Google検索によるグラウンディングを有効にします（config.googleSearch と同じ）。
+   * @param {boolean|Object} [params.urlContext] - プロンプト中のURLの内容を参照させます（config.urlContext と同じ）。
+   * @param {boolean|Object} [params.codeExecution] - モデルにPythonコードを実行させます（config.codeExecution と同じ）。
+   *   組み込みツール（googleSearch, urlContext, codeExecution）と tools を同時に指定すると GeminiError をスローします。
+   * @param {Object} [params.toolConfig] - ツールの呼び出し方（{functionCallingConfig: {mode, allowedFunctionNames}}）。
+   * @param {number} [params.maxFunctionCalls] - ツールの自動実行でモデルとやり取りする最大回数。
+   * @param {Blob[]|Object[]} [params.images] - 画像です。Blob、または uploadFile() の戻り値を指定できます。
+   * @param {Blob[]|Object[]} [params.videos] - 動画です。Blob、または uploadFile() の戻り値を指定できます。
+   * @param {Blob[]|Object[]} [params.files] - その他のファイルです。Blob、または uploadFile() の戻り値を指定できます。
+   *   inlineDataLimitBytes を超えるBlobは自動的にFiles APIでアップロードされます。
+   *   images / videos / files には、DriveのファイルIDやURL、DriveのFile、スプレッドシートの Range、GmailMessage も指定できます。
+   * @param {string} [params.exportFormat='pdf'] - Googleドキュメント・スライドの変換形式（'pdf' または 'text'）。
+   * @param {string} [params.tableFormat='markdown'] - スプレッドシートの変換形式（'markdown' または 'csv'）。
+   * @param {boolean} [params.includeAttachments=true] - GmailMessage の添付ファイルを含めるかどうか。
    * @param {Array} [params.safetySettings] - 安全設定の配列。
    * @param {string} [params.systemInstruction] - システム指示。
+   * @param {string|Object} [params.cachedContent] - createCache() で作成したキャッシュ、またはその名前。
+   *   指定した場合、システム指示とツール定義はキャッシュ側のものが使われます（tools は実行する関数の検索にのみ使われます）。
+   * @param {number} [params.maxInputTokens] - 送信前に入力トークン数を数え、これを超える場合は送信しません。
+   * @param {Function} [params.onInputTokenLimit] - 入力トークン数が maxInputTokens を超えたときに contents を削る関数。
    * @param {number} [params.maxRetry] - 最大リトライ回数。
    * @return {Object} Gemini APIからのレスポンスJSONをパースしたオブジェクト
    */
   generateContent(prompt, params={}) {
-    const payload = {
-      contents: [
-        {
-          role: "user",
-          parts: [
-            {
-              text: prompt
-            }
-          ]
-        }
-      ]
-    };
+    const contents = this.toContents_(prompt, params, true);
+    return this.generateContentFromContents_(contents, params);
+  }
 
-    // システム指示の設定
-    const systemInstruction = params.systemInstruction || this.systemInstruction;
-    if (systemInstruction) {
-      payload.systemInstruction = {
-        parts: [{ text: systemInstruction }]
-      };
-    }
+  /**
+   * 会話履歴（contents配列）を渡してコンテンツを生成させます。
+   * Function Callingのループで発生したモデルのfunctionCallターンと
+   * functionResponseターンは、渡した contents 配列に追記されます。
+   *
+   * @param {Object[]} contents - Gemini APIの contents 形式の会話履歴
+   * @param {Object} [params] - generateContent と同じ生成オプション
+   * @return {Object} Gemini APIからのレスポンスJSONをパースしたオブジェクト
+   */
+  generateContentFromContents_(contents, params={}) {
+    return this.generateContentWithDetails_(contents, params).response;
+  }
 
-    // 生成設定の構築
-    const generationConfig = this.buildGenerationConfig_(params);
-    if (Object.keys(generationConfig).length > 0) {
-      payload.generationConfig = generationConfig;
-    }
+  /**
+   * generateContentFromContents_ と同じ処理を行い、レスポンスと合わせて
+   * 送信した入力のターン数（contents のうちこれより後ろがツールのやり取りのターン）とツール実行の記録を返します。
+   * ツールの execute から入れ子で生成を呼んでも影響を受けないよう、どちらも呼び出しごとに作り、
+   * ツール実行の記録だけを終了時に getLastToolTrace() 用としてインスタンスに設定します。
+   *
+   * @param {Object[]} contents - Gemini APIの contents 形式の会話履歴
+   * @param {Object} [params] - generateContent と同じ生成オプション
+   * @return {{response: Object, inputTurnCount: number, toolTrace: Object[]}} レスポンス、入力のターン数、ツール実行の記録
+   */
+  generateContentWithDetails_(contents, params={}) {
+    const payload = this.buildGenerateContentPayload_(contents, params);
+    const url = this.getGenerateContentUrl_(params);
 
-    // 安全設定
-    const safetySettings = params.safetySettings || this.safetySettings;
-    if (safetySettings && safetySettings.length > 0) {
-      payload.safetySettings = safetySettings;
-    }
+    // キャッシュにあればトークン数を数える必要はないので、事前チェックより先に探す
+    const cachedResponse = this.findCachedResponse_(url, payload, params);
 
-    // Tool Use（Function Calling）の設定
-    if (params.tools || params.functions) {
-      // functionsパラメータは下位互換のため残す
-      const tools = params.tools || params.functions;
-      payload.tools = [{
-        functionDeclarations: tools.map(tool => {
-          // 新形式（tool.name, tool.description）または旧形式（tool.func.name）に対応
-          return {
-            name: tool.name || tool.func.name,
-            description: tool.description,
-            parameters: tool.parameters
-          };
-        })
-      }];
+    // 入力トークン数の事前チェック
+    if (cachedResponse === null) {
+      this.enforceMaxInputTokens_(payload, params);
     }
 
-    // メディアファイル（画像・動画）の処理
-    const mediaFiles = [];
-    if (params.images) mediaFiles.push(...params.images);
-    if (params.videos) mediaFiles.push(...params.videos);
-    if (this.images) mediaFiles.push(...this.images);
-
-    if (mediaFiles.length > 0) {
-      mediaFiles.forEach(mediaBlob => {
-        // メディアファイルの基本検証
-        if (!mediaBlob || typeof mediaBlob.getContentType !== 'function') {
-          throw new Error('Invalid media file: must be a valid Blob object');
-        }
-
-        const mimeType = mediaBlob.getContentType();
-        if (!mimeType) {
-          throw new Error('Media file must have a valid MIME type');
-        }
-
-        try {
-          const mediaBytes = mediaBlob.getBytes();
-          const mediaB64 = Utilities.base64Encode(mediaBytes);
+    // onInputTokenLimit で削られた後の入力のターン数（これより後ろがツールのやり取りのターン）
+    const inputTurnCount = payload.contents.length;
 
-          payload.contents[0].parts.push({
-            inlineData: {
-              mimeType: mimeType,
-              data: mediaB64
-            }
-          });
-        } catch (error) {
-          throw new Error(`Failed to process media file: ${error.message}`);
-        }
-      });
+    const toolTrace = [];
+    try {
+      const response = this.runGenerateContentLoop_(payload, url, params, cachedResponse, toolTrace);
+      return { response: response, inputTurnCount: inputTurnCount, toolTrace: toolTrace };
+    } finally {
+      this.lastToolTrace = toolTrace;
     }
+  }
 
-    const url = this.getGenerateContentUrl_(params);
-
+  /**
+   * generateContent のリクエストを送り、Function Calling と responseSchema の再試行のループを処理します。
+   * ツールのやり取りのターンは payload.contents に追記されます。
+   *
+   * @param {Object} payload - generateContent のペイロード
+   * @param {string} url - generateContent のURL
+   * @param {Object} params - generateContent と同じ生成オプション
+   * @param {Object|null} cachedResponse - 最初のリクエストに対してキャッシュから見つかったレスポンス
+   * @param {Object[]} toolTrace - ツール実行の記録を追加する配列
+   * @return {Object} Gemini APIからのレスポンスJSONをパースしたオブジェクト
+   */
+  runGenerateContentLoop_(payload, url, params, cachedResponse, toolTrace) {
     let retryForFormatAiMessage = 0;
     const maxRetryForFormatAiMessage = params.maxRetryForFormatAiMessage || this.maxRetryForFormatAiMessage;
 
     // レスポンススキーマの取得（ループ内で参照するため事前に取得）
     const responseSchema = params.responseSchema || this.responseSchema;
 
+    // スキーマ違反を修正させるためのターン（呼び出し元の contents には追記しない）
+    let repairTurns = null;
+
+    // responseSchema のための再試行中はレスポンスキャッシュを使わない（同じ不適合なレスポンスが返るだけなので）
+    let retryingForSchema = false;
+
     // Function Callingの処理ループ（無限ループを防ぐため最大試行回数を設定）
-    const MAX_FUNCTION_CALLS = 10;
+    const maxFunctionCalls = params.maxFunctionCalls || this.maxFunctionCalls;
     let functionCallCount = 0;
     
-    while (functionCallCount < MAX_FUNCTION_CALLS) {
-      const res = this.callApi_(url, payload, params.maxRetry);
+    while (functionCallCount < maxFunctionCalls) {
+      const requestPayload = repairTurns
+        ? Object.assign({}, payload, { contents: payload.contents.concat(repairTurns) })
+        : payload;
+      const callParams = retryingForSchema ? Object.assign({}, params, { bypassCache: true }) : params;
+      retryingForSchema = false;
+      const res = cachedResponse !== null
+        ? cachedResponse
+        : this.callApiWithCache_(functionCallCount === 0 ? 'chat' : 'toolLoop', params.model || this.model, url, requestPayload, callParams);
+      cachedResponse = null;
 
       if (res.error != null) {
         return res;
       }
 
       // Function Callingがない場合
-      if (!res.candidates || !res.candidates[0].content.parts) {
-        if (responseSchema) {
+      const candidate = res.candidates && res.candidates[0];
+      if (!candidate || !candidate.content || !candidate.content.parts) {
+        // ブロックやトークン上限はリトライしても結果が変わらないので、呼び出し元で判別させる
+        const isBlocked = (res.promptFeedback && res.promptFeedback.blockReason)
+          || (candidate && (candidate.finishReason === "MAX_TOKENS" || _SAFETY_FINISH_REASONS.includes(candidate.finishReason)));
+
+        if (responseSchema && !isBlocked) {
           // 必要なresponseSchemaが適用されていない場合は再試行
           if (retryForFormatAiMessage < maxRetryForFormatAiMessage) {
             Logger.log("Response schema not applied. retrying...: retryCont=" + retryForFormatAiMessage);
             retryForFormatAiMessage++;
+            retryingForSchema = true;
             continue;
           }
 
-          throw new Error("responseSchema のリトライ最大回数に到達しましたが、適用されませんでした。");
+          throw new GeminiError("responseSchema のリトライ最大回数に到達しましたが、適用されませんでした。");
         } else {
           // シンプルな応答
           return res;
         }
       }
 
-      const parts = res.candidates[0].content.parts;
+      const parts = candidate.content.parts;
       const functionCall = parts.find(part => part.functionCall);
 
       if (!functionCall) {
-        // Function callがない通常の応答
-        return res;
+        // Function callがない通常の応答。responseSchema がある場合は内容を検証する
+        const violations = responseSchema ? this.getSchemaViolations_(candidate, responseSchema) : [];
+        if (violations.length === 0) {
+          return res;
+        }
+
+        if (retryForFormatAiMessage < maxRetryForFormatAiMessage) {
+          // 検証エラーをモデルに伝えて修正させる
+          Logger.log("Response does not match responseSchema. repairing...: retryCont=" + retryForFormatAiMessage);
+          retryForFormatAiMessage++;
+          repairTurns = [
+            { role: "model", parts: parts },
+            { role: "user", parts: [{ text: this.buildSchemaRepairMessage_(violations) }] }
+          ];
+          retryingForSchema = true;
+          continue;
+        }
+
+        // JSONとして解釈できない場合は、呼び出し元で SchemaParseError などとして扱わせる
+        if (violations[0].parseError) {
+          return res;
+        }
+        throw this.createSchemaValidationError_(violations, this.getTextFromParts_(parts));
       }
 
       functionCallCount++;
+
+      // 修正のやり取りの後にツールが呼ばれた場合は、会話の流れを保つため contents に反映する
+      if (repairTurns) {
+        repairTurns.forEach(turn => payload.contents.push(turn));
+        repairTurns = null;
+      }
       
       // モデルの応答（function call含む）をcontentsに追加
       payload.contents.push({
@@ -359,604 +1310,4314 @@ class Gemini {
         parts: parts
       });
       
-      // Tool callがある場合の処理
-      const tools = params.tools || params.functions;
-      const targetTool = tools.find(tool => {
-        const toolName = tool.name || tool.func.name;
-        return toolName === functionCall.functionCall.name;
+      // ターン内のすべての functionCall を実行し、functionResponse をまとめて返す
+      const functionCalls = parts.filter(part => part.functionCall).map(part => part.functionCall);
+      payload.contents.push({
+        role: "user",
+        parts: this.executeFunctionCalls_(functionCalls, params.tools || params.functions || [], {
+          beforeToolCall: params.beforeToolCall || this.beforeToolCall,
+          afterToolCall: params.afterToolCall || this.afterToolCall,
+          toolTimeoutMs: params.toolTimeoutMs || this.toolTimeoutMs
+        }, toolTrace)
       });
-      
-      if (!targetTool) {
-        throw new Error("未知のツールが呼び出されました: " + functionCall.functionCall.name);
-      }
 
-      try {
-        const funcArgs = functionCall.functionCall.args;
-        // 新形式（tool.execute）または旧形式（tool.func）に対応
-        const executeFunc = targetTool.execute || targetTool.func;
-        const funcResult = executeFunc(funcArgs);
-        const funcResultJson = JSON.stringify(funcResult);
-
-        // Function callの結果を次のメッセージに追加
-        payload.contents.push({
-          role: "user",
-          parts: [{
-            functionResponse: {
-              name: functionCall.functionCall.name,
-              response: {
-                result: funcResultJson
-              }
-            }
-          }]
-        });
-      } catch (funcError) {
-        // 関数実行エラーをAIに伝える
-        payload.contents.push({
-          role: "user",
-          parts: [{
-            functionResponse: {
-              name: functionCall.functionCall.name,
-              response: {
-                error: `Function execution failed: ${funcError.message}`
-              }
-            }
-          }]
-        });
+      // ANY は最初のリクエストでツールの呼び出しを強制するためのもの。結果を渡した後は回答できるようにする
+      const functionCallingConfig = payload.toolConfig && payload.toolConfig.functionCallingConfig;
+      if (functionCallingConfig && functionCallingConfig.mode === 'ANY') {
+        payload.toolConfig = { functionCallingConfig: { mode: 'AUTO' } };
       }
     }
     
     // Function callが最大回数に達した場合
-    throw new Error(`Function calling limit exceeded (${MAX_FUNCTION_CALLS} calls). Possible infinite loop detected.`);
+    throw new GeminiError(`Function calling limit exceeded (${maxFunctionCalls} calls). Possible infinite loop detected.`);
   }
 
   /**
-   * Web APIをコールします。
-   * Content-Type が application/json のリクエストを行います。
-   * HTTPステータス429(Too Many Requests)時に Retry-After ヘッダーで何秒後にアクセスすれば良いか指示された場合だけリトライします。
+   * モデルの1ターン分の functionCall をすべて実行し、functionResponse の parts を返します。
+   * 基本は順番に実行しますが、independent: true で fetchRequest を持つツールは、
+   * fetchRequest(args) が返したリクエストを UrlFetchApp.fetchAll でまとめて送信し、
+   * そのレスポンスを execute(args, response) の第2引数に渡します。
    *
-   * @param {string} url - APIエンドポイントのURL。
-   * @param {Object} payload - ペイロード。
-   * @param {number} [maxRetry=this.maxRetry] - 最大リトライ回数。
+   * 各呼び出しは次の順に処理し、結果を trace に記録します。
+   * 1. beforeToolCall(name, args) で拒否・引数の書き換え・承認を判定（requiresApproval のツールは承認が必要）
+   * 2. ツールの parameters スキーマで引数を検証
+   * 3. 実行し、timeoutMs を超えた場合は結果を破棄してタイムアウトとして扱う
+   * 4. afterToolCall(name, args, result, error) を呼ぶ（undefined 以外を返すと結果を置き換え、status を replaced にして
+   *    元の status と error を originalStatus / originalError に残す。例外はそのままスローされ生成を中断する）
+   * 拒否・検証エラー・例外・タイムアウトは error としてモデルに伝え、ループは止めません。
+   *
+   * @param {Object[]} functionCalls - functionCall（name, args, id）の配列
+   * @param {Object[]} tools - ツールのリスト
+   * @param {Object} [hooks] - beforeToolCall, afterToolCall, toolTimeoutMs
+   * @param {Object[]} [trace] - ツール呼び出しの記録を追加する配列
+   * @return {Object[]} functionCalls と同じ順序の functionResponse の parts
+   * @throws {GeminiError} 未知のツールが呼び出された場合
    */
-  callApi_(url, payload, maxRetry=this.maxRetry) {
-    // セキュリティのためAPIキーを除去してログ出力
-    const sanitizedUrl = url.replace(/key=[^&]+/g, 'key=***');
-    const sanitizedPayload = this.sanitizePayloadForLogging_(payload);
-    
-    Logger.log(`accessing url: ${sanitizedUrl}`);
-    Logger.log("payload: " + JSON.stringify(sanitizedPayload));
+  executeFunctionCalls_(functionCalls, tools, hooks={}, trace=[]) {
+    const targetTools = functionCalls.map(call => {
+      const targetTool = tools.find(tool => (tool.name || tool.func.name) === call.name);
+      if (!targetTool) {
+        throw new GeminiError("未知のツールが呼び出されました: " + call.name);
+      }
+      return targetTool;
+    });
 
-    const headers = this.getAuthorizationHeader_();
+    // 実行前の判定（拒否・引数の書き換え・承認・引数の検証）
+    const entries = functionCalls.map((call, index) => {
+      const tool = targetTools[index];
+      const entry = {
+        name: call.name,
+        args: call.args || {},
+        requestedArgs: call.args || {},
+        status: null,
+        result: undefined,
+        error: null,
+        startedAt: null,
+        durationMs: 0
+      };
 
-    const options = {
-      method: 'post',
-      contentType: 'application/json',
-      headers: headers,
-      payload: JSON.stringify(payload),
-      muteHttpExceptions: true
-    };
+      const decision = hooks.beforeToolCall ? hooks.beforeToolCall(call.name, entry.args) : undefined;
+      if (decision && typeof decision === 'object' && decision.args) {
+        entry.args = decision.args;
+      }
+      const denied = decision === false || (decision && typeof decision === 'object' && decision.denied);
+      const approved = decision === true || (decision && typeof decision === 'object' && decision.approved);
+      if (denied || (tool.requiresApproval && !approved)) {
+        entry.status = 'denied';
+        entry.error = (decision && decision.reason) || (denied ? '実行が拒否されました' : '承認されていません');
+        return entry;
+      }
 
-    return this.requestWithRetry_(url, options, maxRetry);
-  }
+      const violations = tool.parameters ? this.validateJsonSchema_(entry.args, tool.parameters) : [];
+      if (violations.length > 0) {
+        entry.status = 'invalid';
+        entry.error = '引数がスキーマに適合しません: ' + violations.map(violation => `${violation.path}: ${violation.message}`).join(', ');
+      }
+      return entry;
+    });
 
-  /**
-   * ログ出力用にペイロードから機密情報を除去します
-   */
-  sanitizePayloadForLogging_(payload) {
-    try {
-      const sanitized = JSON.parse(JSON.stringify(payload));
-      
-      // 画像データを除去
-      if (sanitized.contents) {
-        sanitized.contents.forEach(content => {
-          if (content.parts) {
-            content.parts.forEach(part => {
-              if (part.inlineData && part.inlineData.data) {
-                part.inlineData.data = '[BASE64_DATA_REMOVED]';
-              }
-            });
-          }
-        });
+    // 独立したツールのHTTPリクエストを同時に送信する
+    const httpResponses = functionCalls.map(() => undefined);
+    const concurrent = [];
+    targetTools.forEach((tool, index) => {
+      const entry = entries[index];
+      if (entry.status || !tool.independent || typeof tool.fetchRequest !== 'function') {
+        return;
       }
-      
-      // バッチエンベディングのテキストデータを制限
-      if (sanitized.requests && Array.isArray(sanitized.requests)) {
-        sanitized.requests = sanitized.requests.slice(0, 3).map(req => ({
-          ...req,
-          content: req.content ? {
-            ...req.content,
-            parts: req.content.parts ? req.content.parts.map(part => ({
-              ...part,
-              text: part.text ? part.text.substring(0, 100) + '...' : part.text
-            })) : req.content.parts
-          } : req.content
-        }));
-        if (payload.requests.length > 3) {
-          sanitized.requests.push(`... and ${payload.requests.length - 3} more requests`);
-        }
+      entry.startedAt = new Date();
+      try {
+        concurrent.push({ index: index, request: tool.fetchRequest(entry.args) });
+      } catch (e) {
+        entry.status = 'error';
+        entry.error = e.message;
       }
-      
-      return sanitized;
-    } catch (e) {
-      return { error: 'Failed to sanitize payload for logging' };
+    });
+    if (concurrent.length > 0) {
+      const fetchStartedAt = Date.now();
+      try {
+        const responses = UrlFetchApp.fetchAll(concurrent.map(item => item.request));
+        concurrent.forEach((item, i) => {
+          httpResponses[item.index] = responses[i];
+        });
+      } catch (e) {
+        concurrent.forEach(item => {
+          entries[item.index].status = 'error';
+          entries[item.index].error = e.message;
+        });
+      }
+      concurrent.forEach(item => {
+        entries[item.index].durationMs = Date.now() - fetchStartedAt;
+      });
     }
-  }
 
-  /**
-   * リトライ制御しつつHTTPリクエストするメソッド
-   */
-  requestWithRetry_(url, options, maxRetry=this.maxRetry) {
-    let lastError = null;
+    return functionCalls.map((call, index) => {
+      const tool = targetTools[index];
+      const entry = entries[index];
 
-    for (let attempts = 0; attempts < maxRetry; attempts++) {
-      let response = null;
-      try {
-        response = UrlFetchApp.fetch(url, options);
+      if (!entry.status) {
+        if (!entry.startedAt) {
+          entry.startedAt = new Date();
+        }
+        const executeStartedAt = Date.now();
+        try {
+          // 新形式（tool.execute）または旧形式（tool.func）に対応
+          const executeFunc = tool.execute || tool.func;
+          entry.result = httpResponses[index] !== undefined ? executeFunc(entry.args, httpResponses[index]) : executeFunc(entry.args);
+          entry.status = 'ok';
+        } catch (funcError) {
+          entry.status = 'error';
+          entry.error = funcError.message;
+        }
+        entry.durationMs += Date.now() - executeStartedAt;
 
-        const content = response.getContentText();
-        Logger.log('contentText: ' + content.substring(0, 200) + '...'); // 長いレスポンスは省略
+        // Apps Scriptでは実行を中断できないため、時間を超えた結果は破棄する
+        const timeoutMs = tool.timeoutMs || hooks.toolTimeoutMs;
+        if (timeoutMs && entry.durationMs > timeoutMs) {
+          entry.status = 'timeout';
+          entry.result = undefined;
+          entry.error = `${timeoutMs}ミリ秒以内に完了しませんでした（${entry.durationMs}ミリ秒）`;
+        }
+      }
 
-        // リトライ条件
-        const httpStatus = response.getResponseCode();
-        if (httpStatus == 429) {
-          if (attempts < maxRetry - 1) {
-            // レスポンスボディからretryDelayを取得
-            const retryDelay = this.extractRetryDelay_(content);
-            if (retryDelay) {
-              Logger.log(`Rate limit exceeded. Retry after ${retryDelay} seconds.`);
-              Utilities.sleep(retryDelay * 1000);
-            } else {
-              // retryDelayが取得できない場合は指数バックオフ
-              const backoffDelay = Math.min(1000 * Math.pow(2, attempts), 60000);
-              Logger.log(`Rate limit exceeded. Backoff for ${backoffDelay}ms.`);
-              Utilities.sleep(backoffDelay);
-            }
-            continue;
-          }
-        } else if (httpStatus != 200) {
-          throw new Error(`APIエラー: status=${httpStatus}, message=${content}`);
+      if (hooks.afterToolCall) {
+        const replaced = hooks.afterToolCall(call.name, entry.args, entry.result, entry.error);
+        if (replaced !== undefined) {
+          // 元の結果は記録に残し、モデルには置き換えた結果を成功として渡す
+          entry.originalStatus = entry.status;
+          entry.originalError = entry.error;
+          entry.status = 'replaced';
+          entry.result = replaced;
+          entry.error = null;
         }
+      }
+      trace.push(entry);
 
-        const json = JSON.parse(content);
-        return json;
-      } catch (e) {
-        lastError = e;
-        const message = e.toString();
-        Logger.log(`Attempt ${attempts + 1} failed: ${message}`);
+      const functionResponse = {
+        name: call.name,
+        response: entry.error
+          // 関数実行エラー（拒否を含む）をAIに伝える
+          ? { error: entry.status === 'denied' ? `Function call denied: ${entry.error}` : `Function execution failed: ${entry.error}` }
+          : { result: JSON.stringify(entry.result) }
+      };
+      if (call.id) {
+        functionResponse.id = call.id;
+      }
+      return { functionResponse: functionResponse };
+    });
+  }
 
-        // 最後の試行でない場合、指数バックオフでリトライ
-        if (attempts < maxRetry - 1) {
-          const backoffDelay = Math.min(1000 * Math.pow(2, attempts), 30000);
-          Utilities.sleep(backoffDelay);
-        }
+  /**
+   * toolConfig を検証して Gemini APIの toolConfig 形式にします
+   */
+  buildToolConfig_(toolConfig, tools) {
+    const functionCallingConfig = toolConfig.functionCallingConfig;
+    if (!functionCallingConfig) {
+      return toolConfig;
+    }
+
+    const modes = ['AUTO', 'ANY', 'NONE', 'VALIDATED'];
+    const mode = functionCallingConfig.mode ? String(functionCallingConfig.mode).toUpperCase() : 'AUTO';
+    if (!modes.includes(mode)) {
+      throw new Error(`Invalid functionCallingConfig.mode: ${functionCallingConfig.mode}. Valid values: ${modes.join(", ")}`);
+    }
+
+    const allowedFunctionNames = functionCallingConfig.allowedFunctionNames;
+    if (allowedFunctionNames) {
+      const toolNames = (tools || []).map(tool => tool.name || tool.func.name);
+      const unknown = allowedFunctionNames.filter(name => !toolNames.includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`allowedFunctionNames contains unknown tools: ${unknown.join(", ")}`);
       }
     }
 
-    // リトライが最大回数に達した
-    throw new Error(`APIエラー: リトライが最大回数に達しました（${maxRetry}回）: ${lastError ? lastError.message : 'Unknown error'}`);
+    return Object.assign({}, toolConfig, {
+      functionCallingConfig: Object.assign({}, functionCallingConfig, { mode: mode })
+    });
   }
 
   /**
-   * 429エラーレスポンスからretryDelayを抽出します
-   * @param {string} content - レスポンスボディ
-   * @return {number|null} リトライまでの秒数、取得できない場合はnull
+   * 候補のテキストをJSONとしてパースし、responseSchema に対する違反を返します。
+   * トークン上限などで途中で終わった候補は検証しません（呼び出し元で終了理由として扱うため）。
+   *
+   * @param {Object} candidate - レスポンスの候補
+   * @param {Object} responseSchema - 呼び出し元が指定したJSONスキーマ
+   * @return {Object[]} 違反の配列（{path, message}）。パースできない場合は parseError: true の要素を1つ返します。
    */
-  extractRetryDelay_(content) {
+  getSchemaViolations_(candidate, responseSchema) {
+    if (candidate.finishReason && candidate.finishReason !== "STOP") {
+      return [];
+    }
+
+    const text = this.getTextFromParts_(candidate.content.parts);
+    if (!text) {
+      return [];
+    }
+
+    let parsed;
     try {
-      const json = JSON.parse(content);
-      if (json.error && json.error.details) {
-        const retryInfo = json.error.details.find(
-          detail => detail['@type'] === 'type.googleapis.com/google.rpc.RetryInfo'
-        );
-        if (retryInfo && retryInfo.retryDelay) {
-          // "47s" -> 47 の形式で秒数を抽出
-          const match = retryInfo.retryDelay.match(/^(\d+)/);
-          if (match) {
-            return parseInt(match[1], 10);
-          }
-        }
-      }
+      parsed = JSON.parse(text);
     } catch (e) {
-      Logger.log('Failed to extract retryDelay: ' + e.toString());
+      return [{ path: '$', message: `JSONとしてパースできません（${e.message}）`, parseError: true }];
     }
-    return null;
+    return this.validateJsonSchema_(parsed, responseSchema);
   }
 
   /**
-   * 指定されたキーに対応する連想配列（オブジェクト）の値を大文字小文字を無視して取得します。
-   * キーが存在しない場合、undefinedが返されます。
-   * @param {string} key 検索するキー
-   * @param {Object} dict 検索対象の連想配列（オブジェクト）
-   * @return {any} 指定されたキーに対応する値、またはキーが存在しない場合はundefined
+   * スキーマ違反をモデルに修正させるためのメッセージを生成します
    */
-  getDictValue_(key, dict) {
-    const normalizedKey = key.toLowerCase();
-    const foundKey = Object.keys(dict).find(dictKey => dictKey.toLowerCase() === normalizedKey);
-    return foundKey ? dict[foundKey] : undefined;
+  buildSchemaRepairMessage_(violations) {
+    return "直前の回答は指定したJSONスキーマに適合していません。次の問題を修正し、スキーマに沿ったJSONだけを出力し直してください。\n"
+      + violations.map(violation => `- ${violation.path}: ${violation.message}`).join('\n');
   }
 
   /**
-   * コンテンツ生成用のURLを取得します
+   * スキーマ違反の一覧から SchemaValidationError を生成します
    */
-  getGenerateContentUrl_(params={}) {
-    const model = params.model || this.model;
-    return `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+  createSchemaValidationError_(violations, rawText) {
+    return new SchemaValidationError(
+      "レスポンスが responseSchema に適合しません: " + violations.map(violation => `${violation.path}: ${violation.message}`).join(', '),
+      { violations: violations, rawText: rawText }
+    );
   }
 
   /**
-   * 画像を生成します。
-   * Imagen4モデルを使用して画像を生成します。
-   * 
-   * @param {string} prompt - 画像生成用のプロンプト
-   * @param {Object} [params] - 生成オプションを含む設定オブジェクト。
-   * @param {string} [params.model] - 使用するモデルの識別子。
-   * @param {number} [params.n] - 生成する画像の枚数（Geminiでは常に1）。
-   * @param {string} [params.size] - 画像サイズ（Geminiでは aspectRatio で制御）。
-   * @param {string} [params.quality] - 画質設定。
-   * @param {string} [params.response_format] - レスポンスフォーマット。
-   * @param {string} [params.style] - スタイル設定。
-   * @return {string} 生成された画像のURL
+   * 値をJSONスキーマで検証します。
+   * type, enum, const, required, properties, additionalProperties, items, anyOf / oneOf / allOf,
+   * 文字列の長さと pattern、数値の範囲、配列の要素数、ローカルの $ref（#/definitions, #/$defs）に対応しています。
+   *
+   * @param {*} value - 検証する値
+   * @param {Object} schema - JSONスキーマ
+   * @param {string} [path="$"] - 値の位置（エラーメッセージ用）
+   * @param {Object} [root] - $ref を解決するためのルートのスキーマ
+   * @param {number} [depth=0] - $ref の解決の深さ（循環参照対策）
+   * @return {Object[]} 違反の配列（{path, message}）。適合していれば空配列
    */
-  simpleImageGeneration(prompt, params={}) {
-    const result = this.imageGeneration(prompt, params);
-    
-    if (result.error) {
-      throw new Error("API エラー: " + JSON.stringify(result.error));
+  validateJsonSchema_(value, schema, path='$', root=schema, depth=0) {
+    if (!schema || typeof schema !== 'object' || depth > 50) {
+      return [];
     }
 
-    // 使用モデルを特定してレスポンス処理
-    const model = params.model || _DEFAULT_GEMINI_IMAGE_MODEL;
-    
-    if (model.includes("imagen")) {
-      // Imagen 3.0レスポンス形式
-      if (result.predictions && result.predictions[0]) {
-        const prediction = result.predictions[0];
-        if (prediction.bytesBase64Encoded) {
-          return `data:image/png;base64,${prediction.bytesBase64Encoded}`;
-        }
+    if (schema.$ref) {
+      const resolved = this.resolveSchemaRef_(schema.$ref, root);
+      return resolved ? this.validateJsonSchema_(value, resolved, path, root, depth + 1) : [];
+    }
+
+    const violations = [];
+    const add = (message, at=path) => violations.push({ path: at, message: message });
+
+    if (value === null && schema.nullable) {
+      return violations;
+    }
+
+    // type
+    if (schema.type) {
+      // Gemini APIのスキーマ（"STRING" など大文字の型名）にも対応する
+      const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).map(type => String(type).toLowerCase());
+      const actual = this.getJsonType_(value);
+      const matched = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+      if (!matched) {
+        add(`型が ${types.join(' | ')} ではありません（実際: ${actual}）`);
+        return violations;
       }
-      throw new Error("Imagen 3.0: 画像データが見つかりません: " + JSON.stringify(result));
-    } else {
-      // Gemini 2.0レスポンス形式
-      if (result.candidates && result.candidates[0] && result.candidates[0].content && result.candidates[0].content.parts) {
-        const parts = result.candidates[0].content.parts;
-        const imagePart = parts.find(part => part.inlineData);
-        
-        if (imagePart && imagePart.inlineData) {
-          // base64データをdata URIとして返す
-          const mimeType = imagePart.inlineData.mimeType || 'image/jpeg';
-          const base64Data = imagePart.inlineData.data;
-          return `data:${mimeType};base64,${base64Data}`;
-        }
-      }
-      throw new Error("Gemini 2.0: 画像データが見つかりません: " + JSON.stringify(result));
     }
-  }
 
-  /**
-   * 画像を生成します。
-   * Imagen4モデルを使用した詳細な画像生成API。
-   * 
-   * @param {string} prompt - 画像生成用のプロンプト
-   * @param {Object} [params] - 生成オプションを含む設定オブジェクト。
-   * @param {string} [params.model] - 使用するモデルの識別子。
-   * @param {string} [params.aspectRatio] - アスペクト比（"1:1", "9:16", "16:9"など）。
-   * @param {number} [params.maxRetry] - 最大リトライ回数。
-   * @return {Object} Gemini APIからのレスポンス全体
-   */
-  imageGeneration(prompt, params={}) {
-    // 使用モデルに応じて構造を切り替え
-    const model = params.model || _DEFAULT_GEMINI_IMAGE_MODEL;
-    
-    if (model.includes("imagen")) {
-      // Imagen 3.0 API構造
-      const payload = {
-        instances: [
-          {
-            prompt: prompt
-          }
-        ]
-      };
+    if (schema.enum && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+      add(`${JSON.stringify(schema.enum)} のいずれでもありません（実際: ${JSON.stringify(value)}）`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+      add(`${JSON.stringify(schema.const)} ではありません（実際: ${JSON.stringify(value)}）`);
+    }
 
-      // parametersオブジェクト
-      const parameters = {};
-      
-      if (params.aspectRatio) {
-        // aspectRatioの値検証
-        const validRatios = ["1:1", "9:16", "16:9", "4:3", "3:4"];
-        if (!validRatios.includes(params.aspectRatio)) {
-          throw new Error(`Invalid aspectRatio: ${params.aspectRatio}. Valid values: ${validRatios.join(", ")}`);
+    // 文字列
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        add(`文字数が ${schema.minLength} 未満です`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        add(`文字数が ${schema.maxLength} を超えています`);
+      }
+      if (schema.pattern) {
+        // JavaScriptの正規表現として解釈できないパターンは、モデルには直せないので検証しない
+        let pattern = null;
+        try {
+          pattern = new RegExp(schema.pattern);
+        } catch (e) {
+          Logger.log(`Schema warning: ${path}: pattern ${schema.pattern} is not a valid regular expression and was not checked (${e.message})`);
+        }
+        if (pattern && !pattern.test(value)) {
+          add(`パターン ${schema.pattern} に一致しません`);
         }
-        parameters.aspectRatio = params.aspectRatio;
       }
-      
-      if (params.sampleCount) {
-        parameters.sampleCount = params.sampleCount;
-      } else {
-        parameters.sampleCount = 1; // デフォルト
+    }
+
+    // 数値
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        add(`${schema.minimum} 未満です（実際: ${value}）`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        add(`${schema.maximum} を超えています（実際: ${value}）`);
+      }
+      if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+        add(`${schema.exclusiveMinimum} 以下です（実際: ${value}）`);
       }
+      if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+        add(`${schema.exclusiveMaximum} 以上です（実際: ${value}）`);
+      }
+    }
 
-      if (Object.keys(parameters).length > 0) {
-        payload.parameters = parameters;
+    // 配列
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        add(`要素数が ${schema.minItems} 未満です`);
       }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        add(`要素数が ${schema.maxItems} を超えています`);
+      }
+      if (schema.items && typeof schema.items === 'object') {
+        value.forEach((item, index) => {
+          violations.push(...this.validateJsonSchema_(item, schema.items, `${path}[${index}]`, root, depth));
+        });
+      }
+    }
 
-      const url = this.getImageGenerationUrl_(params);
-      return this.callApi_(url, payload, params.maxRetry);
-      
-    } else {
-      // Gemini 2.0 API構造
-      const payload = {
-        contents: [
-          {
-            role: "user",
-            parts: [
-              {
-                text: prompt
-              }
-            ]
-          }
-        ]
-      };
+    // オブジェクト
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      const properties = schema.properties || {};
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          add('必須のプロパティがありません', `${path}.${key}`);
+        }
+      });
+      Object.keys(value).forEach(key => {
+        if (properties[key]) {
+          violations.push(...this.validateJsonSchema_(value[key], properties[key], `${path}.${key}`, root, depth));
+        } else if (schema.additionalProperties === false) {
+          add('スキーマにないプロパティです', `${path}.${key}`);
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          violations.push(...this.validateJsonSchema_(value[key], schema.additionalProperties, `${path}.${key}`, root, depth));
+        }
+      });
+    }
 
-      const generationConfig = {
-        responseModalities: ["TEXT", "IMAGE"]
-      };
+    // 組み合わせ
+    if (Array.isArray(schema.allOf)) {
+      schema.allOf.forEach(sub => violations.push(...this.validateJsonSchema_(value, sub, path, root, depth)));
+    }
+    ['anyOf', 'oneOf'].forEach(keyword => {
+      if (Array.isArray(schema[keyword])) {
+        const matched = schema[keyword].filter(sub => this.validateJsonSchema_(value, sub, path, root, depth).length === 0).length;
+        if (matched === 0 || (keyword === 'oneOf' && matched > 1)) {
+          add(`${keyword} の${matched === 0 ? 'いずれにも一致しません' : '複数に一致します'}`);
+        }
+      }
+    });
 
-      payload.generationConfig = generationConfig;
+    return violations;
+  }
 
-      const url = this.getImageGenerationUrl_(params);
-      return this.callApi_(url, payload, params.maxRetry);
+  /**
+   * ローカルの $ref（"#/definitions/Foo" や "#/$defs/Foo"）をルートのスキーマから解決します
+   */
+  resolveSchemaRef_(ref, root) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) {
+      return null;
     }
+    return ref.slice(1).split('/').filter(segment => segment !== '').reduce((node, segment) => {
+      const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+      return node && typeof node === 'object' ? node[key] : undefined;
+    }, root) || null;
   }
 
   /**
-   * テキストのEmbedding（ベクトル表現）を取得します。
-   * シンプルな結果だけを返します。
+   * JSONスキーマの型名で値の型を返します
+   */
+  getJsonType_(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  /**
+   * maxInputTokens が指定されている場合、送信前に入力トークン数を数えて上限を超えていないか確認します。
+   * 超えている場合は onInputTokenLimit に contents を削ってもらい、それでも超える場合は例外をスローします。
+   * onInputTokenLimit が返した contents は payload.contents（呼び出し元の配列）に反映されます。
    *
-   * @param {string|string[]} input - Embeddingを生成するためのテキスト（文字列または文字列の配列）
-   * @param {Object} [params] - 生成オプションを含む設定オブジェクト
-   * @param {string} [params.model] - 使用するモデルの識別子（例: "text-embedding-004"）
-   * @param {string} [params.taskType] - タスクタイプ（RETRIEVAL_QUERY, RETRIEVAL_DOCUMENT, など）
-   * @return {number[]|number[][]} 入力テキストごとのEmbedding（単一文字列の場合は単一配列、文字列配列の場合は配列の配列）
-   * @throws {Error} Gemini APIレイヤでのエラーが発生した場合に例外をスローします。
+   * @param {Object} payload - generateContent のリクエストペイロード
+   * @param {Object} [params] - 呼び出し時の設定オブジェクト
+   * @throws {InputTokenLimitError} 入力トークン数が上限を超えている場合
    */
-  simpleEmbedding(input, params={}) {
-    const result = this.createEmbedding(input, params);
-    if (result.error) {
-      throw new Error("API エラー: " + JSON.stringify(result.error));
+  enforceMaxInputTokens_(payload, params={}) {
+    const maxInputTokens = params.maxInputTokens || this.maxInputTokens;
+    if (!maxInputTokens) {
+      return;
     }
+    const onInputTokenLimit = params.onInputTokenLimit || this.onInputTokenLimit;
 
-    // 入力が単一文字列の場合は単一配列、文字列配列の場合は配列の配列を返す
-    if (Array.isArray(input)) {
-      // 配列の各要素に対応するembeddingを結果の順序通りに取得
-      return result.embeddings.map(item => item.values);
-    } else {
-      // 単一文字列の場合は最初のembeddingのみを返す
-      return result.embedding.values;
+    // コールバックが contents を十分に削らない場合に備えて回数を制限する
+    const MAX_TRUNCATION_ROUNDS = 3;
+    for (let round = 0; ; round++) {
+      const counted = this.callApi_(this.getCountTokensUrl_(params), this.buildCountTokensPayload_(payload, params), params.maxRetry);
+      const totalTokens = counted.totalTokens;
+      if (totalTokens <= maxInputTokens) {
+        return;
+      }
+
+      Logger.log(`Input tokens exceeded: totalTokens=${totalTokens}, maxInputTokens=${maxInputTokens}`);
+
+      const truncated = onInputTokenLimit && round < MAX_TRUNCATION_ROUNDS
+        ? onInputTokenLimit({ totalTokens: totalTokens, maxInputTokens: maxInputTokens, contents: payload.contents.slice() })
+        : null;
+
+      if (!Array.isArray(truncated) || truncated.length === 0) {
+        throw new InputTokenLimitError(`入力トークン数が上限を超えています: totalTokens=${totalTokens}, maxInputTokens=${maxInputTokens}`, {
+          totalTokens: totalTokens,
+          maxInputTokens: maxInputTokens
+        });
+      }
+
+      payload.contents.splice(0, payload.contents.length, ...truncated);
     }
   }
 
   /**
-   * テキストのEmbedding（ベクトル表現）を取得します。
-   * APIからのレスポンス全体を返します。
+   * 入力のトークン数を数えます。
+   * generateContent と同じ params（images, videos, files, tools, systemInstruction, cachedContent など）を
+   * 指定でき、実際に送信されるリクエストと同じ内容で数えます。
    *
-   * @param {string|string[]} input - Embeddingを生成するためのテキスト（文字列または文字列の配列）
-   * @param {Object} [params] - 生成オプションを含む設定オブジェクト
-   * @param {string} [params.model] - 使用するモデルの識別子（例: "text-embedding-004"）
-   * @param {string} [params.taskType] - タスクタイプ（RETRIEVAL_QUERY, RETRIEVAL_DOCUMENT, など）
-   * @param {number} [params.maxRetry] - 最大リトライ回数
-   * @return {Object} Gemini APIからのレスポンス全体（embedding, usage情報などを含む）
-   * @throws {Error} Gemini APIレイヤでのエラーが発生した場合に例外をスローします。
+   * 使用方法:
+   * const count = client.countTokens("長いプロンプト...", { images: [blob] });
+   * Logger.log(count.totalTokens);
+   *
+   * @param {string|Object[]} promptOrContents - プロンプト、parts 配列、または contents 配列
+   * @param {Object} [params] - generateContent と同じ生成オプション
+   * @return {Object} Gemini APIからのレスポンス（totalTokens, cachedContentTokenCount, promptTokensDetails など）
    */
-  createEmbedding(input, params={}) {
-    const model = params.model || "text-embedding-004";
-    
-    if (Array.isArray(input)) {
-      // バッチ処理：複数のテキストを一度にembedding
-      const payload = {
-        requests: input.map(text => ({
-          model: `models/${model}`,
-          content: {
-            parts: [{
-              text: text
-            }]
-          },
-          taskType: params.taskType || "RETRIEVAL_DOCUMENT"
-        }))
-      };
-
-      const url = this.getBatchEmbeddingUrl_(params);
-      return this.callApi_(url, payload, params.maxRetry);
-    } else {
-      // 単一テキストのembedding
-      const payload = {
-        model: `models/${model}`,
-        content: {
-          parts: [{
-            text: input
-          }]
-        },
-        taskType: params.taskType || "RETRIEVAL_DOCUMENT"
-      };
+  countTokens(promptOrContents, params={}) {
+    const contents = this.toContents_(promptOrContents, params, true);
+    const payload = this.buildGenerateContentPayload_(contents, params);
+    return this.callApi_(this.getCountTokensUrl_(params), this.buildCountTokensPayload_(payload, params), params.maxRetry);
+  }
 
-      const url = this.getEmbeddingUrl_(params);
-      return this.callApi_(url, payload, params.maxRetry);
+  /**
+   * generateContent のリクエストペイロードから countTokens のリクエストペイロードを構築します
+   *
+   * @param {Object} payload - generateContent のリクエストペイロード
+   * @param {Object} [params] - 呼び出し時の設定オブジェクト
+   * @return {Object} countTokens のリクエストペイロード
+   */
+  buildCountTokensPayload_(payload, params={}) {
+    if (this.backend === 'vertex') {
+      // Vertex AIは contents, systemInstruction, tools, generationConfig を直接指定する
+      const countPayload = { contents: payload.contents };
+      ['systemInstruction', 'tools', 'generationConfig'].forEach(key => {
+        if (payload[key] !== undefined) {
+          countPayload[key] = payload[key];
+        }
+      });
+      return countPayload;
     }
+
+    // Gemini APIはシステム指示やツールを含めて数えるため generateContentRequest で指定する
+    return {
+      generateContentRequest: Object.assign({
+        model: this.toModelResourceName_(params.model || this.model)
+      }, payload)
+    };
   }
 
   /**
-   * 動画を分析します。
-   * Gemini独自の動画分析機能です。
-   * 
-   * @param {Blob} video - 動画ファイルのBlob
-   * @param {string} prompt - 動画分析用のプロンプト
-   * @param {Object} [params] - 分析オプションを含む設定オブジェクト
-   * @return {string} 動画分析結果のテキスト
+   * 入力を contents 配列に変換します。
+   * role を持つ要素の配列は contents 配列として使い、params.images などのメディアは最後のユーザーのターンに追加します。
+   * それ以外（テキスト、parts 配列）はメディアを含むユーザーのターン1つにします。
+   *
+   * @param {string|Object[]} input - テキスト、parts 配列、または contents 配列
+   * @param {Object} [params] - images / videos / files を含む設定オブジェクト
+   * @param {boolean} [includeClientImages=false] - インスタンス化時に設定した images も含めるかどうか
+   * @return {Object[]} contents 配列
+   * @throws {Error} メディアを指定したのに contents 配列にユーザーのターンがない場合
    */
-  simpleVideoAnalysis(video, prompt, params={}) {
-    const result = this.videoAnalysis(video, prompt, params);
-    
-    if (result.error) {
-      throw new Error("API エラー: " + JSON.stringify(result.error));
-    }
+  toContents_(input, params={}, includeClientImages=false) {
+    // contents 配列は各ターンの parts を正規化した新しい配列にする（呼び出し元の配列には追記しない）
+    if (Array.isArray(input) && input.length > 0 && input[0] && input[0].role) {
+      const contents = input.map(turn => ({
+        role: turn.role,
+        parts: (turn.parts || []).flatMap(part => this.toParts_(part, params))
+      }));
 
-    if (result.candidates && result.candidates[0].content.parts) {
-      const textPart = result.candidates[0].content.parts.find(part => part.text);
-      if (textPart) {
-        return textPart.text;
+      const mediaParts = this.buildMediaParts_(params, includeClientImages);
+      if (mediaParts.length > 0) {
+        const lastUserTurn = contents.filter(turn => turn.role === 'user').pop();
+        if (!lastUserTurn) {
+          throw new Error('images, videos and files require a user turn in contents');
+        }
+        lastUserTurn.parts.push(...mediaParts);
       }
+      return contents;
     }
 
-    throw new Error("動画分析に失敗しました: " + JSON.stringify(result));
+    const message = input === undefined ? [] : input;
+    return [{
+      role: "user",
+      parts: this.buildUserParts_(message, params, includeClientImages)
+    }];
   }
 
   /**
-   * 動画を分析します。
-   * Gemini独自の動画分析機能の詳細版。
-   * 
-   * @param {Blob} video - 動画ファイルのBlob
-   * @param {string} prompt - 動画分析用のプロンプト
-   * @param {Object} [params] - 分析オプションを含む設定オブジェクト
-   * @return {Object} Gemini APIからのレスポンス全体
+   * generateContent 用のリクエストペイロードを構築します。
+   * contents 配列はコピーせずにそのまま payload.contents として使用します。
+   *
+   * @param {Object[]} contents - Gemini APIの contents 形式の会話履歴
+   * @param {Object} [params] - generateContent と同じ生成オプション
+   * @return {Object} リクエストペイロード
    */
-  videoAnalysis(video, prompt, params={}) {
+  buildGenerateContentPayload_(contents, params={}) {
     const payload = {
-      contents: [
-        {
-          role: "user",
-          parts: [
-            {
-              text: prompt
-            },
-            {
-              inlineData: {
-                mimeType: video.getContentType(),
-                data: Utilities.base64Encode(video.getBytes())
-              }
-            }
-          ]
-        }
-      ]
+      contents: contents
     };
 
-    // 生成設定
-    const generationConfig = {};
-    const temperature = params.temperature || this.temperature;
-    const maxTokens = params.maxTokens || this.maxTokens;
-    
-    if (temperature !== undefined) {
-      generationConfig.temperature = temperature;
+    // コンテキストキャッシュ。システム指示とツール定義はキャッシュ側に含まれるので送信しない
+    const cachedContent = params.cachedContent ? this.toCacheName_(params.cachedContent) : null;
+    if (cachedContent) {
+      payload.cachedContent = cachedContent;
     }
-    if (maxTokens !== undefined) {
-      generationConfig.maxOutputTokens = maxTokens;
+
+    // システム指示の設定
+    const systemInstruction = params.systemInstruction || this.systemInstruction;
+    if (systemInstruction && !cachedContent) {
+      payload.systemInstruction = {
+        parts: [{ text: systemInstruction }]
+      };
     }
 
+    // 生成設定の構築
+    const generationConfig = this.buildGenerationConfig_(params);
     if (Object.keys(generationConfig).length > 0) {
       payload.generationConfig = generationConfig;
     }
 
-    const url = this.getGenerateContentUrl_(params);
-    return this.callApi_(url, payload, params.maxRetry);
-  }
+    // 安全設定
+    const safetySettings = params.safetySettings || this.safetySettings;
+    if (safetySettings && safetySettings.length > 0) {
+      payload.safetySettings = safetySettings;
+    }
 
-  /**
-   * 画像生成用のURLを取得します
-   */
-  getImageGenerationUrl_(params={}) {
-    const model = params.model || _DEFAULT_GEMINI_IMAGE_MODEL;
-    
-    if (model.includes("imagen")) {
-      // Imagen 3.0用のエンドポイント
-      return `https://generativelanguage.googleapis.com/v1beta/models/${model}:predict`;
-    } else {
-      // Gemini 2.0用のエンドポイント
-      return `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+    // Tool Use（Function Calling）の設定
+    // functionsパラメータは下位互換のため残す
+    // generateContent APIは組み込みツールと関数宣言の併用を受け付けない（400エラーになる）ため、
+    // 呼び出し時に tools を指定した場合はクライアントの組み込みツールの設定を使わない
+    const tools = params.tools || params.functions;
+    const hasTools = !!(tools && tools.length > 0);
+    const builtInTools = this.buildBuiltInTools_(params, !hasTools);
+    if (hasTools && builtInTools.length > 0 && !cachedContent) {
+      const names = builtInTools.map(tool => Object.keys(tool)[0]).join(', ');
+      throw new GeminiError(`Built-in tools (${names}) cannot be combined with tools/functions in the same request. Use them in separate calls`);
+    }
+    if ((tools || builtInTools.length > 0) && !cachedContent) {
+      payload.tools = (tools ? this.buildToolsPayload_(tools) : []).concat(builtInTools);
     }
+
+    // ツールの呼び出し方（AUTO / ANY / NONE, allowedFunctionNames）
+    const toolConfig = params.toolConfig || this.toolConfig;
+    if (toolConfig && !cachedContent) {
+      payload.toolConfig = this.buildToolConfig_(toolConfig, tools);
+    }
+
+    return payload;
   }
 
   /**
-   * エンベディング用のURLを取得します
+   * Geminiのサーバー側で実行される組み込みツール（Google検索、URLコンテキスト、コード実行）の tools 要素を構築します。
+   * 各パラメータは true、または各ツールの設定オブジェクトを指定できます。呼び出し時の指定がクライアントの設定より優先されます。
+   *
+   * @param {Object} params - 呼び出し時の設定オブジェクト
+   * @param {boolean} [useClientConfig=true] - false の場合は呼び出し時の指定だけを使います
    */
-  getEmbeddingUrl_(params={}) {
-    const model = params.model || "text-embedding-004";
-    return `https://generativelanguage.googleapis.com/v1beta/models/${model}:embedContent`;
+  buildBuiltInTools_(params, useClientConfig=true) {
+    const builtInTools = [];
+    ['googleSearch', 'urlContext', 'codeExecution'].forEach(name => {
+      const value = params[name] !== undefined ? params[name] : (useClientConfig ? this[name] : undefined);
+      if (value) {
+        builtInTools.push({ [name]: value === true ? {} : value });
+      }
+    });
+    return builtInTools;
+  }
+
+  /**
+   * ツールのリストを Gemini APIの tools 形式に変換します。
+   *
+   * @param {Object[]} tools - ツールのリスト（新形式: name, description, parameters, execute / 旧形式: func, description, parameters）
+   * @return {Object[]} Gemini APIの tools 配列
+   */
+  buildToolsPayload_(tools) {
+    return [{
+      functionDeclarations: tools.map(tool => {
+        // 新形式（tool.name, tool.description）または旧形式（tool.func.name）に対応
+        return {
+          name: tool.name || tool.func.name,
+          description: tool.description,
+          parameters: this.sanitizeSchemaForGemini_(tool.parameters, null, `tool ${tool.name || tool.func.name}`)
+        };
+      })
+    }];
+  }
+
+  /**
+   * ユーザーターンの parts 配列を構築します。
+   * テキストの後ろに params.images / params.videos / params.files のメディアを追加します。
+   * 配列の要素は toParts_ で part に変換するので、テキストとメディアを好きな順に並べられます。
+   *
+   * @param {string|Array} message - テキスト、または parts 配列（toParts_ が受け付ける要素の配列）
+   * @param {Object} [params] - images / videos / files を含む設定オブジェクト
+   * @param {boolean} [includeClientImages=false] - インスタンス化時に設定した images も含めるかどうか
+   * @return {Object[]} parts 配列
+   */
+  buildUserParts_(message, params={}, includeClientImages=false) {
+    const parts = Array.isArray(message)
+      ? message.flatMap(item => this.toParts_(item, params))
+      : [{ text: message }];
+    return parts.concat(this.buildMediaParts_(params, includeClientImages));
+  }
+
+  /**
+   * params.images / params.videos / params.files（とインスタンス化時の images）の parts 配列を構築します。
+   *
+   * @param {Object} [params] - images / videos / files を含む設定オブジェクト
+   * @param {boolean} [includeClientImages=false] - インスタンス化時に設定した images も含めるかどうか
+   * @return {Object[]} parts 配列
+   */
+  buildMediaParts_(params={}, includeClientImages=false) {
+    // メディアファイル（画像・動画・アップロード済みファイル・DriveのファイルID）の処理
+    const mediaFiles = [];
+    if (params.images) mediaFiles.push(...params.images);
+    if (params.videos) mediaFiles.push(...params.videos);
+    if (params.files) mediaFiles.push(...params.files);
+    if (includeClientImages && this.images) mediaFiles.push(...this.images);
+
+    return mediaFiles.flatMap(media => this.mediaToParts_(media, params));
+  }
+
+  /**
+   * parts 配列の要素を Gemini APIの part の配列に変換します。
+   *
+   * 受け付ける要素:
+   * - 文字列: テキスト
+   * - Blob: inlineData（大きい場合はFiles APIでアップロードして fileData）
+   * - DriveのFile、Googleドキュメント・スライド・スプレッドシート: driveFileToParts_ を参照
+   * - スプレッドシートの Range / Sheet: CSVまたはMarkdownの表のテキスト
+   * - GmailMessage: ヘッダーと本文のテキスト、添付ファイル
+   * - {driveFile: ID・URL・File}, {gmailMessage: ID・GmailMessage}
+   * - {fileUri, mimeType}: fileData（Files APIのURIやYouTubeのURL）
+   * - uploadFile() / getFile() の戻り値: fileData
+   * - text, inlineData, fileData などを持つ Gemini APIの part: そのまま
+   *
+   * @param {string|Blob|File|Object} item - 変換する要素
+   * @param {Object} [params] - 呼び出し時の設定オブジェクト
+   * @return {Object[]} parts 配列
+   */
+  toParts_(item, params={}) {
+    if (typeof item === 'string') {
+      return [{ text: item }];
+    }
+    if (!item || typeof item !== 'object') {
+      throw new Error(`Invalid part: ${item}`);
+    }
+
+    // Blob（Gmailの添付ファイルを含む）
+    if (typeof item.getContentType === 'function') {
+      return [this.buildMediaPart_(item, params)];
+    }
+
+    // スプレッドシートの Range / Sheet
+    if (typeof item.getA1Notation === 'function' && typeof item.getDisplayValues === 'function') {
+      return [this.rangeToPart_(item, params)];
+    }
+    if (typeof item.getDataRange === 'function' && typeof item.getSheetId === 'function') {
+      return [this.rangeToPart_(item.getDataRange(), params)];
+    }
+
+    // GmailMessage
+    if (typeof item.getPlainBody === 'function' && typeof item.getAttachments === 'function') {
+      return this.gmailMessageToParts_(item, params);
+    }
+
+    // DriveのFile、または Document / Spreadsheet / Presentation
+    if (typeof item.getBlob === 'function' && typeof item.getId === 'function') {
+      const file = typeof item.getMimeType === 'function' ? item : DriveApp.getFileById(item.getId());
+      return this.driveFileToParts_(file, params);
+    }
+
+    if (item.driveFile) {
+      return this.mediaToParts_(item.driveFile, params);
+    }
+    if (item.gmailMessage) {
+      const message = typeof item.gmailMessage === 'string' ? GmailApp.getMessageById(item.gmailMessage) : item.gmailMessage;
+      if (!message) {
+        throw new Error(`Gmail message not found: ${item.gmailMessage}`);
+      }
+      return this.gmailMessageToParts_(message, params);
+    }
+
+    // Gemini APIの part
+    const partKeys = ['text', 'inlineData', 'fileData', 'functionCall', 'functionResponse', 'executableCode', 'codeExecutionResult'];
+    if (partKeys.some(key => item[key] !== undefined)) {
+      return [item];
+    }
+
+    // {fileUri} またはアップロード済みファイル
+    if (item.fileUri || item.uri) {
+      const fileUri = item.fileUri || item.uri;
+      const mimeType = item.mimeType || this.getMimeTypeFromName_(fileUri);
+      return [{ fileData: mimeType ? { mimeType: mimeType, fileUri: fileUri } : { fileUri: fileUri } }];
+    }
+
+    throw new Error('Invalid part: must be a string, Blob, Drive file, Range, GmailMessage, {fileUri}, or a Gemini API part');
+  }
+
+  /**
+   * images / videos / files に指定されたメディアを parts 配列に変換します。
+   * 文字列はDriveのファイルIDまたはURLとして扱い、それ以外は toParts_ と同じです。
+   *
+   * @param {string|Blob|File|Object} media - メディア
+   * @param {Object} [params] - 呼び出し時の設定オブジェクト
+   * @return {Object[]} parts 配列
+   */
+  mediaToParts_(media, params={}) {
+    if (typeof media === 'string') {
+      const fileId = this.toDriveFileId_(media);
+      if (!fileId) {
+        throw new Error(`Invalid Drive file ID or URL: ${media}`);
+      }
+      return this.driveFileToParts_(DriveApp.getFileById(fileId), params);
+    }
+    return this.toParts_(media, params);
+  }
+
+  /**
+   * DriveのファイルIDまたはURL（/d/{id}/ や ?id={id} の形式）からファイルIDを取り出します
+   */
+  toDriveFileId_(value) {
+    const match = /\/d\/([\w-]{10,})/.exec(value) || /[?&]id=([\w-]{10,})/.exec(value);
+    if (match) {
+      return match[1];
+    }
+    return /^[\w-]{10,}$/.test(value) ? value : null;
+  }
+
+  /**
+   * DriveのファイルをMIMEタイプに応じて parts 配列に変換します。
+   * - Googleドキュメント・スライド: params.exportFormat が 'pdf'（デフォルト）ならPDF、'text' ならテキストに変換
+   * - Googleスプレッドシート: 各シートのデータ範囲をCSVまたはMarkdownの表のテキストに変換
+   * - その他: ファイルのBlob
+   * どの場合も inlineDataLimitBytes を超えるものはFiles APIでアップロードします。
+   *
+   * @param {File} file - DriveのFile
+   * @param {Object} [params] - 呼び出し時の設定オブジェクト
+   * @return {Object[]} parts 配列
+   * @throws {Error} GASのBlobで扱えるサイズを超える場合
+   */
+  driveFileToParts_(file, params={}) {
+    const mimeType = file.getMimeType();
+
+    if (mimeType === _GOOGLE_SHEETS_MIME_TYPE) {
+      const sheets = SpreadsheetApp.openById(file.getId()).getSheets();
+      return sheets.map(sheet => this.rangeToPart_(sheet.getDataRange(), params));
+    }
+
+    if (mimeType === _GOOGLE_DOCS_MIME_TYPE || mimeType === _GOOGLE_SLIDES_MIME_TYPE) {
+      const exportFormat = params.exportFormat || 'pdf';
+      if (exportFormat === 'text') {
+        const text = `# ${file.getName()}\n\n${this.exportDriveFileAsText_(file)}`;
+        return [this.textToPart_(text, 'text/plain', `${file.getName()}.txt`, params)];
+      }
+      if (exportFormat !== 'pdf') {
+        throw new Error(`Invalid exportFormat: ${exportFormat}. Must be 'pdf' or 'text'`);
+      }
+      const pdf = file.getAs('application/pdf');
+      const pdfSize = pdf.getBytes().length;
+      if (pdfSize > _DRIVE_BLOB_LIMIT_BYTES) {
+        throw new Error(`PDF export of "${file.getName()}" is ${pdfSize} bytes, which exceeds the ${_DRIVE_BLOB_LIMIT_BYTES} bytes limit of a GAS Blob`);
+      }
+      return [this.buildMediaPart_(pdf, params)];
+    }
+
+    const size = file.getSize();
+    if (size > _DRIVE_BLOB_LIMIT_BYTES) {
+      throw new Error(`Drive file "${file.getName()}" is ${size} bytes, which exceeds the ${_DRIVE_BLOB_LIMIT_BYTES} bytes limit of a GAS Blob`);
+    }
+    return [this.buildMediaPart_(file.getBlob(), params)];
+  }
+
+  /**
+   * Googleドキュメント・スライドをDrive APIでテキストにエクスポートします
+   */
+  exportDriveFileAsText_(file) {
+    const url = `https://www.googleapis.com/drive/v3/files/${file.getId()}/export?mimeType=text%2Fplain`;
+    const response = UrlFetchApp.fetch(url, {
+      headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+      muteHttpExceptions: true
+    });
+    if (response.getResponseCode() !== 200) {
+      throw new Error(`Failed to export Drive file "${file.getName()}" as text: ${response.getContentText()}`);
+    }
+    // text/plain のエクスポートは文字コードを宣言しないことがあるので、UTF-8として読む
+    return response.getContentText('UTF-8');
+  }
+
+  /**
+   * スプレッドシートの範囲を表のテキストの part にします（rangeToText_ と textToPart_ を参照）
+   */
+  rangeToPart_(range, params={}) {
+    const csv = params.tableFormat === 'csv';
+    return this.textToPart_(
+      this.rangeToText_(range, params),
+      csv ? 'text/csv' : 'text/plain',
+      `${range.getSheet().getName()}.${csv ? 'csv' : 'md'}`,
+      params
+    );
+  }
+
+  /**
+   * 変換したテキストを part にします。
+   * inlineDataLimitBytes を超える場合はリクエストのサイズ上限に収めるため、
+   * テキストファイルのBlobとして buildMediaPart_ に渡します（Files APIでアップロード）。
+   *
+   * @param {string} text - テキスト
+   * @param {string} mimeType - Blobにする場合のMIMEタイプ
+   * @param {string} fileName - Blobにする場合のファイル名
+   * @param {Object} [params] - 呼び出し時の設定オブジェクト
+   * @return {Object} part
+   */
+  textToPart_(text, mimeType, fileName, params={}) {
+    const blob = Utilities.newBlob(text, mimeType, fileName);
+    if (blob.getBytes().length <= this.inlineDataLimitBytes) {
+      return { text: text };
+    }
+    return this.buildMediaPart_(blob, params);
+  }
+
+  /**
+   * スプレッドシートの範囲を表のテキストにします。
+   * params.tableFormat が 'markdown'（デフォルト）ならMarkdownの表、'csv' ならCSVです。
+   *
+   * @param {Range} range - スプレッドシートの範囲
+   * @param {Object} [params] - 呼び出し時の設定オブジェクト
+   * @return {string} シート名と範囲の見出し付きの表
+   */
+  rangeToText_(range, params={}) {
+    const tableFormat = params.tableFormat || 'markdown';
+    if (tableFormat !== 'markdown' && tableFormat !== 'csv') {
+      throw new Error(`Invalid tableFormat: ${tableFormat}. Must be 'markdown' or 'csv'`);
+    }
+
+    const rows = range.getDisplayValues()
+      .filter(row => row.some(value => value !== ''));
+    const title = `# ${range.getSheet().getName()}!${range.getA1Notation()}`;
+
+    if (tableFormat === 'csv') {
+      const escape = value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+      return `${title}\n${rows.map(row => row.map(escape).join(',')).join('\n')}`;
+    }
+
+    if (rows.length === 0) {
+      return title;
+    }
+    const escape = value => value.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    const toLine = row => `| ${row.map(escape).join(' | ')} |`;
+    const lines = [toLine(rows[0]), `|${rows[0].map(() => ' --- |').join('')}`].concat(rows.slice(1).map(toLine));
+    return `${title}\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Gmailのメッセージを parts 配列に変換します。
+   * ヘッダー（From, To, Date, Subject）と本文をテキストにし、
+   * Geminiが扱える形式（PDF, テキスト, 画像, 音声, 動画）の添付ファイルを後ろに追加します。
+   * params.includeAttachments が false の場合は添付ファイルを含めません。
+   *
+   * @param {GmailMessage} message - Gmailのメッセージ
+   * @param {Object} [params] - 呼び出し時の設定オブジェクト
+   * @return {Object[]} parts 配列
+   */
+  gmailMessageToParts_(message, params={}) {
+    const header = [
+      `From: ${message.getFrom()}`,
+      `To: ${message.getTo()}`,
+      `Date: ${message.getDate()}`,
+      `Subject: ${message.getSubject()}`
+    ].join('\n');
+    const parts = [{ text: `${header}\n\n${message.getPlainBody()}` }];
+
+    if (params.includeAttachments === false) {
+      return parts;
+    }
+
+    message.getAttachments({ includeInlineImages: false }).forEach(attachment => {
+      const mimeType = this.detectMimeType_(attachment);
+      if (!mimeType || !_SUPPORTED_MEDIA_MIME_TYPE_PATTERN.test(mimeType)) {
+        Logger.log(`Skipping unsupported attachment: ${attachment.getName()} (${mimeType})`);
+        return;
+      }
+      parts.push({ text: `Attachment: ${attachment.getName()}` });
+      parts.push(this.buildMediaPart_(attachment, params));
+    });
+
+    return parts;
+  }
+
+  /**
+   * BlobのMIMEタイプを判定します。
+   * Content-Type が設定されていない（または application/octet-stream の）場合は、
+   * ファイル名の拡張子、ファイル先頭のバイト列（マジックナンバー）の順に判定します。
+   *
+   * @param {Blob} blob - 判定するBlob
+   * @param {number[]} [bytes] - Blobのバイト列（取得済みの場合）
+   * @return {string|null} MIMEタイプ。判定できない場合は null
+   */
+  detectMimeType_(blob, bytes=null) {
+    const contentType = blob.getContentType();
+    if (contentType && contentType !== 'application/octet-stream') {
+      return contentType;
+    }
+
+    const byName = typeof blob.getName === 'function' ? this.getMimeTypeFromName_(blob.getName()) : null;
+    if (byName) {
+      return byName;
+    }
+
+    const head = (bytes || blob.getBytes()).slice(0, 16).map(byte => byte & 0xff);
+    const ascii = (start, end) => String.fromCharCode.apply(null, head.slice(start, end));
+    if (ascii(0, 4) === '%PDF') return 'application/pdf';
+    if (head[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+    if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg';
+    if (ascii(0, 4) === 'GIF8') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+    if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+    if (ascii(0, 4) === 'fLaC') return 'audio/flac';
+    if (ascii(0, 3) === 'ID3' || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+    if (ascii(4, 8) === 'ftyp') return ascii(8, 11) === 'M4A' ? 'audio/mp4' : 'video/mp4';
+    if (head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3) return 'video/webm';
+
+    return null;
+  }
+
+  /**
+   * ファイル名（またはURL）の拡張子からMIMEタイプを返します
+   */
+  getMimeTypeFromName_(name) {
+    const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(name || '');
+    return match ? (_MIME_TYPES_BY_EXTENSION[match[1].toLowerCase()] || null) : null;
+  }
+
+  /**
+   * メディア1つ分の part を構築します。
+   * Blobは inlineData として送信しますが、inlineDataLimitBytes を超える場合は
+   * Files APIでアップロードして fileData として送信します。
+   * uploadFile() の戻り値（uri を持つファイルオブジェクト）は fileData として送信します。
+   *
+   * @param {Blob|Object} media - Blob、または uploadFile() / getFile() の戻り値
+   * @param {Object} [params] - 呼び出し時の設定オブジェクト
+   * @return {Object} part
+   */
+  buildMediaPart_(media, params={}) {
+    // アップロード済みファイル
+    if (media && typeof media.getContentType !== 'function' && (media.uri || media.fileUri)) {
+      if (!media.mimeType) {
+        throw new Error('Uploaded file must have a mimeType');
+      }
+      return {
+        fileData: {
+          mimeType: media.mimeType,
+          fileUri: media.uri || media.fileUri
+        }
+      };
+    }
+
+    // メディアファイルの基本検証
+    if (!media || typeof media.getContentType !== 'function') {
+      throw new Error('Invalid media file: must be a valid Blob object or an uploaded file');
+    }
+
+    let mediaBytes;
+    try {
+      mediaBytes = media.getBytes();
+    } catch (error) {
+      throw new Error(`Failed to process media file: ${error.message}`);
+    }
+
+    const mimeType = this.detectMimeType_(media, mediaBytes);
+    if (!mimeType) {
+      throw new Error('Media file must have a valid MIME type');
+    }
+
+    // 大きなファイルはFiles API経由（Vertex AIにはFiles APIがないので常にインライン）
+    if (this.backend !== 'vertex' && mediaBytes.length > this.inlineDataLimitBytes) {
+      Logger.log(`Media file is ${mediaBytes.length} bytes. Uploading via Files API.`);
+      const file = this.uploadFile(media, { mimeType: mimeType, maxRetry: params.maxRetry });
+      return {
+        fileData: {
+          mimeType: file.mimeType || mimeType,
+          fileUri: file.uri
+        }
+      };
+    }
+
+    try {
+      return {
+        inlineData: {
+          mimeType: mimeType,
+          data: Utilities.base64Encode(mediaBytes)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to process media file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Web APIをコールします。
+   * Content-Type が application/json のリクエストを行います。
+   * リトライの方針は retryPolicy に従います（requestWithRetry_ を参照）。
+   *
+   * @param {string} url - APIエンドポイントのURL。
+   * @param {Object} payload - ペイロード。
+   * @param {number} [maxRetry=this.maxRetry] - 最大リトライ回数。
+   * @param {Function} [parseContent] - HTTPステータス200のレスポンスボディを解釈する関数。デフォルトはJSONとしてパースします。
+   */
+  callApi_(url, payload, maxRetry=this.maxRetry, parseContent=undefined) {
+    return this.callApiWithMethod_('post', url, payload, maxRetry, parseContent);
+  }
+
+  /**
+   * レスポンスキャッシュを使ってWeb APIをコールします（config.responseCache 省略時は常にAPIを呼び出します）。
+   * キャッシュのキーは URL とペイロードのSHA-256で、APIキーなどの認証情報は含みません。
+   * キャッシュから返したレスポンスは使用量に記録しません。
+   *
+   * @param {string} usageMethod - 使用量を記録する際のメソッド名
+   * @param {string} model - 使用量を記録する際のモデル名
+   * @param {string} url - APIエンドポイントのURL。
+   * @param {Object} payload - ペイロード。
+   * @param {Object} params - 呼び出しのパラメータ（maxRetry, bypassCache, cacheTtlSeconds）
+   * @return {Object} APIからのレスポンス
+   */
+  callApiWithCache_(usageMethod, model, url, payload, params) {
+    if (!this.responseCache) {
+      return this.recordUsage_(usageMethod, model, this.callApi_(url, payload, params.maxRetry));
+    }
+
+    const cached = this.findCachedResponse_(url, payload, params);
+    if (cached !== null) {
+      return cached;
+    }
+
+    const key = this.getResponseCacheKey_(url, payload);
+    const response = this.recordUsage_(usageMethod, model, this.callApi_(url, payload, params.maxRetry));
+    if (this.isCacheableResponse_(response)) {
+      const ttlSeconds = params.cacheTtlSeconds || this.responseCache.ttlSeconds;
+      this.writeResponseCache_(key, response, ttlSeconds);
+    }
+    return response;
+  }
+
+  /**
+   * レスポンスキャッシュからレスポンスを探します。
+   * config.responseCache 省略時と params.bypassCache 指定時は常に null を返します。
+   *
+   * @return {Object|null} キャッシュされたレスポンス。ない場合は null
+   */
+  findCachedResponse_(url, payload, params) {
+    if (!this.responseCache || params.bypassCache) {
+      return null;
+    }
+    const key = this.getResponseCacheKey_(url, payload);
+    const cached = this.readResponseCache_(key);
+    if (cached !== null) {
+      Logger.log(`response cache hit: ${key}`);
+    }
+    return cached;
+  }
+
+  /**
+   * レスポンスをキャッシュしてよいかを判定します。
+   * エラーや、候補・parts のない generateContent のレスポンス（ブロック、スキーマ未適用など）はキャッシュしません。
+   */
+  isCacheableResponse_(response) {
+    if (!response || response.error) {
+      return false;
+    }
+    if (response.candidates === undefined && response.promptFeedback === undefined) {
+      // エンベディングや Imagen のレスポンス
+      return true;
+    }
+    const candidate = response.candidates && response.candidates[0];
+    return !!(candidate && candidate.content && candidate.content.parts);
+  }
+
+  /**
+   * URLとペイロードからレスポンスキャッシュのキーを生成します
+   */
+  getResponseCacheKey_(url, payload) {
+    const digest = Utilities.computeDigest(
+      Utilities.DigestAlgorithm.SHA_256,
+      url + '\n' + JSON.stringify(payload),
+      Utilities.Charset.UTF_8
+    );
+    return _RESPONSE_CACHE_KEY_PREFIX + Utilities.base64EncodeWebSafe(digest).replace(/=+$/, '');
+  }
+
+  /**
+   * レスポンスキャッシュを読み込みます。CacheService、fallback の順に探します。
+   * 読み込みに失敗した場合（サービスのエラーや壊れたデータ）はログに残してキャッシュなしとして扱います。
+   * @return {Object|null} キャッシュされたレスポンス。ない場合や期限切れの場合は null
+   */
+  readResponseCache_(key) {
+    try {
+      return this.readResponseCacheEntry_(key);
+    } catch (error) {
+      Logger.log(`response cache read failed: ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * readResponseCache_ の本体です。失敗した場合は例外をスローします。
+   */
+  readResponseCacheEntry_(key) {
+    const cache = this.responseCache.cache || CacheService.getScriptCache();
+    const header = cache.get(key);
+    if (header !== null) {
+      const chunkKeys = this.getChunkKeys_(key, JSON.parse(header).chunks);
+      const chunks = cache.getAll(chunkKeys);
+      if (chunkKeys.every(chunkKey => chunks[chunkKey] !== undefined && chunks[chunkKey] !== null)) {
+        return JSON.parse(chunkKeys.map(chunkKey => chunks[chunkKey]).join(''));
+      }
+    }
+
+    if (this.responseCache.fallback === 'properties') {
+      const properties = this.getResponseCacheProperties_();
+      const saved = properties.getProperty(key);
+      if (saved === null) {
+        return null;
+      }
+      const savedHeader = JSON.parse(saved);
+      const chunkKeys = this.getChunkKeys_(key, savedHeader.chunks);
+      if (savedHeader.expiresAt < Date.now()) {
+        [key].concat(chunkKeys).forEach(propertyKey => properties.deleteProperty(propertyKey));
+        return null;
+      }
+      const values = chunkKeys.map(chunkKey => properties.getProperty(chunkKey));
+      return values.every(value => value !== null) ? JSON.parse(values.join('')) : null;
+    }
+
+    if (this.responseCache.fallback === 'drive') {
+      const files = DriveApp.getFolderById(this.responseCache.folderId).getFilesByName(key);
+      if (!files.hasNext()) {
+        return null;
+      }
+      const file = files.next();
+      const saved = JSON.parse(file.getBlob().getDataAsString());
+      if (saved.expiresAt < Date.now()) {
+        file.setTrashed(true);
+        return null;
+      }
+      return saved.response;
+    }
+
+    return null;
+  }
+
+  /**
+   * レスポンスキャッシュに保存します。
+   * CacheServiceには100KBごとに分割して保存し、有効期間が6時間を超える場合や
+   * 保存できなかった場合は fallback に保存します。保存に失敗してもエラーにはしません。
+   */
+  writeResponseCache_(key, response, ttlSeconds) {
+    // 非ASCII文字をエスケープして、文字数とバイト数を一致させる
+    const json = JSON.stringify(response).replace(/[\u0080-\uffff]/g,
+      c => '\\u' + ('0000' + c.charCodeAt(0).toString(16)).slice(-4));
+
+    if (ttlSeconds <= _CACHE_SERVICE_MAX_TTL_SECONDS) {
+      const chunks = this.splitIntoChunks_(json, _CACHE_VALUE_LIMIT_BYTES - 1024);
+      if (chunks.length <= _RESPONSE_CACHE_MAX_CHUNKS) {
+        try {
+          const values = {};
+          this.getChunkKeys_(key, chunks.length).forEach((chunkKey, index) => {
+            values[chunkKey] = chunks[index];
+          });
+          values[key] = JSON.stringify({ chunks: chunks.length });
+          (this.responseCache.cache || CacheService.getScriptCache()).putAll(values, ttlSeconds);
+          return;
+        } catch (e) {
+          Logger.log(`response cache: failed to write CacheService: ${e.message}`);
+        }
+      }
+    }
+
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+    try {
+      if (this.responseCache.fallback === 'properties') {
+        const chunks = this.splitIntoChunks_(json, _PROPERTY_VALUE_CHUNK_BYTES);
+        const values = {};
+        this.getChunkKeys_(key, chunks.length).forEach((chunkKey, index) => {
+          values[chunkKey] = chunks[index];
+        });
+        values[key] = JSON.stringify({ chunks: chunks.length, expiresAt: expiresAt });
+        this.getResponseCacheProperties_().setProperties(values);
+      } else if (this.responseCache.fallback === 'drive') {
+        const folder = DriveApp.getFolderById(this.responseCache.folderId);
+        const content = JSON.stringify({ expiresAt: expiresAt, response: response });
+        const files = folder.getFilesByName(key);
+        if (files.hasNext()) {
+          files.next().setContent(content);
+        } else {
+          folder.createFile(key, content, 'application/json');
+        }
+      }
+    } catch (e) {
+      Logger.log(`response cache: failed to write ${this.responseCache.fallback}: ${e.message}`);
+    }
+  }
+
+  /**
+   * fallback が 'properties' の場合の保存先を取得します
+   */
+  getResponseCacheProperties_() {
+    return this.responseCache.properties || PropertiesService.getScriptProperties();
+  }
+
+  /**
+   * 分割保存したチャンクのキーの配列を返します
+   */
+  getChunkKeys_(key, count) {
+    const keys = [];
+    for (let i = 0; i < count; i++) {
+      keys.push(`${key}_${i}`);
+    }
+    return keys;
+  }
+
+  /**
+   * 文字列を size 文字ごとに分割します
+   */
+  splitIntoChunks_(text, size) {
+    const chunks = [];
+    for (let offset = 0; offset < text.length; offset += size) {
+      chunks.push(text.substring(offset, offset + size));
+    }
+    return chunks.length > 0 ? chunks : [''];
+  }
+
+  /**
+   * HTTPメソッドを指定してWeb APIをコールします。
+   * payload を指定した場合は Content-Type が application/json のリクエストを行います。
+   *
+   * @param {string} method - HTTPメソッド（get, post, patch, delete）。
+   * @param {string} url - APIエンドポイントのURL。
+   * @param {Object} [payload] - ペイロード。
+   * @param {number} [maxRetry=this.maxRetry] - 最大リトライ回数。
+   * @param {Function} [parseContent] - HTTPステータス200のレスポンスボディを解釈する関数。デフォルトはJSONとしてパースします。
+   */
+  callApiWithMethod_(method, url, payload, maxRetry=this.maxRetry, parseContent=undefined) {
+    // セキュリティのためAPIキーを除去してログ出力
+    const sanitizedUrl = url.replace(/key=[^&]+/g, 'key=***');
+    
+    Logger.log(`accessing url: ${method.toUpperCase()} ${sanitizedUrl}`);
+
+    if (payload !== undefined && payload !== null) {
+      const sanitizedPayload = this.sanitizePayloadForLogging_(payload);
+      Logger.log("payload: " + JSON.stringify(sanitizedPayload));
+    }
+
+    const options = this.buildRequestOptions_(method, payload);
+    return this.requestWithRetry_(url, options, maxRetry, parseContent);
+  }
+
+  /**
+   * UrlFetchApp 用のリクエストオプションを構築します。
+   * payload を指定した場合は Content-Type が application/json のリクエストになります。
+   *
+   * @param {string} method - HTTPメソッド（get, post, patch, delete）。
+   * @param {Object} [payload] - ペイロード。
+   * @return {Object} UrlFetchApp.fetch のオプション
+   */
+  buildRequestOptions_(method, payload) {
+    const options = {
+      method: method,
+      headers: this.getAuthorizationHeader_(),
+      muteHttpExceptions: true
+    };
+
+    if (payload !== undefined && payload !== null) {
+      options.contentType = 'application/json';
+      options.payload = JSON.stringify(payload);
+    }
+    return options;
+  }
+
+  /**
+   * ログ出力用にペイロードから機密情報を除去します
+   */
+  sanitizePayloadForLogging_(payload) {
+    try {
+      const sanitized = JSON.parse(JSON.stringify(payload));
+      
+      // 画像データを除去
+      if (sanitized.contents) {
+        sanitized.contents.forEach(content => {
+          if (content.parts) {
+            content.parts.forEach(part => {
+              if (part.inlineData && part.inlineData.data) {
+                part.inlineData.data = '[BASE64_DATA_REMOVED]';
+              }
+            });
+          }
+        });
+      }
+      
+      // バッチエンベディングのテキストデータを制限
+      if (sanitized.requests && Array.isArray(sanitized.requests)) {
+        sanitized.requests = sanitized.requests.slice(0, 3).map(req => ({
+          ...req,
+          content: req.content ? {
+            ...req.content,
+            parts: req.content.parts ? req.content.parts.map(part => ({
+              ...part,
+              text: part.text ? part.text.substring(0, 100) + '...' : part.text
+            })) : req.content.parts
+          } : req.content
+        }));
+        if (payload.requests.length > 3) {
+          sanitized.requests.push(`... and ${payload.requests.length - 3} more requests`);
+        }
+      }
+      
+      return sanitized;
+    } catch (e) {
+      return { error: 'Failed to sanitize payload for logging' };
+    }
+  }
+
+  /**
+   * リトライ制御しつつHTTPリクエストするメソッド
+   * retryPolicy.retryableStatuses のHTTPステータスと通信エラーのみリトライし、
+   * それ以外のHTTPエラーは即座に例外をスローします。
+   * 待ち時間は RetryInfo / Retry-After の指示があればそれに従い、なければジッター付きの指数バックオフです。
+   * 待ち時間がデッドラインを越える場合はリトライせずに例外をスローします。
+   *
+   * @throws {RateLimitError} HTTPステータス429のままリトライを打ち切った場合
+   * @throws {GeminiApiError} リトライ対象外のHTTPエラー、またはHTTPエラーのままリトライを打ち切った場合
+   * @throws {GeminiError} 通信エラーなどでリトライを打ち切った場合
+   * @param {string} url - リクエスト先のURL
+   * @param {Object} options - UrlFetchApp.fetch のオプション
+   * @param {number} [maxRetry=this.maxRetry] - 最大試行回数
+   * @param {Function} [parseContent] - HTTPステータス200のレスポンスボディとレスポンスを受け取り、結果を返す関数。
+   *   デフォルトはレスポンスボディをJSONとしてパースします。
+   */
+  requestWithRetry_(url, options, maxRetry=this.maxRetry, parseContent=(content => JSON.parse(content))) {
+    const policy = this.retryPolicy;
+    const startTime = Date.now();
+    const deadline = this.getRetryDeadline_(startTime);
+    let lastError = null;
+    let deadlineExceeded = false;
+
+    for (let attempts = 0; attempts < maxRetry; attempts++) {
+      let httpStatus = null;
+      let serverDelay = null;
+
+      try {
+        const response = UrlFetchApp.fetch(url, options);
+
+        const content = response.getContentText();
+        Logger.log('contentText: ' + content.substring(0, 200) + '...'); // 長いレスポンスは省略
+
+        httpStatus = response.getResponseCode();
+        if (httpStatus == 200) {
+          return parseContent(content, response);
+        }
+
+        // レスポンスボディのRetryInfo、なければRetry-Afterヘッダーから待ち時間を取得
+        serverDelay = this.extractRetryDelay_(content);
+        if (serverDelay === null) {
+          serverDelay = this.extractRetryAfter_(response);
+        }
+        lastError = GeminiApiError.fromResponse_(httpStatus, content, serverDelay);
+      } catch (e) {
+        // 通信エラー・JSONパースエラー
+        lastError = e;
+      }
+
+      Logger.log(`Attempt ${attempts + 1} failed: ${lastError.toString()}`);
+
+      // リトライ対象外のHTTPステータスは即座にエラー
+      if (httpStatus !== null && !policy.retryableStatuses.includes(httpStatus)) {
+        throw lastError;
+      }
+
+      if (attempts >= maxRetry - 1) {
+        break;
+      }
+
+      const delayMs = this.computeRetryDelay_(attempts, serverDelay);
+      if (Date.now() + delayMs > deadline) {
+        Logger.log(`Retry deadline exceeded. Giving up instead of waiting ${delayMs}ms.`);
+        deadlineExceeded = true;
+        break;
+      }
+
+      if (policy.onRetry) {
+        policy.onRetry({
+          attempt: attempts + 1,
+          delayMs: delayMs,
+          status: httpStatus,
+          error: lastError,
+          url: url.replace(/key=[^&]+/g, 'key=***')
+        });
+      }
+
+      Logger.log(`Retry after ${delayMs}ms.`);
+      Utilities.sleep(delayMs);
+    }
+
+    // リトライを打ち切った
+    const reason = deadlineExceeded
+      ? `リトライの期限に達しました（経過${Date.now() - startTime}ms）`
+      : `リトライが最大回数に達しました（${maxRetry}回）`;
+    throw this.createRetryExhaustedError_(lastError, reason);
+  }
+
+  /**
+   * リトライを打ち切ったときの例外オブジェクトを生成します。
+   * 最後のエラーがAPIエラーであれば同じ種類（RateLimitError など）の例外になります。
+   *
+   * @param {Error} lastError - 最後に発生したエラー
+   * @param {string} reason - 打ち切った理由
+   * @return {GeminiError} 例外オブジェクト
+   */
+  createRetryExhaustedError_(lastError, reason) {
+    const message = `APIエラー: ${reason}: ${lastError ? lastError.message : 'Unknown error'}`;
+    if (lastError instanceof GeminiApiError) {
+      return lastError.withMessage_(message);
+    }
+    return new GeminiError(message, { cause: lastError });
+  }
+
+  /**
+   * 複数のリクエストを UrlFetchApp.fetchAll で同時に送信し、リトライ対象の失敗だけを再送信します。
+   * 待ち時間とデッドラインは requestWithRetry_ と同じく retryPolicy に従います。
+   *
+   * @param {Object[]} items - index と request（UrlFetchApp.fetchAll のリクエスト）を持つオブジェクトの配列
+   * @param {number} [maxRetry=this.maxRetry] - 最大試行回数
+   * @return {Object[]} index, response（パース済みのレスポンス）, error を持つオブジェクトの配列（順不同）
+   */
+  fetchAllWithRetry_(items, maxRetry=this.maxRetry) {
+    const policy = this.retryPolicy;
+    const startTime = Date.now();
+    const deadline = this.getRetryDeadline_(startTime);
+    const outcomes = [];
+    let pending = items;
+
+    for (let attempts = 0; pending.length > 0; attempts++) {
+      Logger.log(`fetchAll: ${pending.length} requests (attempt ${attempts + 1})`);
+
+      let responses = null;
+      let networkError = null;
+      try {
+        responses = UrlFetchApp.fetchAll(pending.map(item => item.request));
+      } catch (e) {
+        // fetchAll は1件でも通信エラーがあると全体が例外になるので、全件を失敗として扱う
+        networkError = e;
+      }
+
+      const failed = [];
+      pending.forEach((item, i) => {
+        if (networkError) {
+          failed.push({ item: item, error: networkError, status: null, serverDelay: null });
+          return;
+        }
+
+        const response = responses[i];
+        const content = response.getContentText();
+        const httpStatus = response.getResponseCode();
+
+        if (httpStatus == 200) {
+          try {
+            outcomes.push({ index: item.index, response: JSON.parse(content), error: null });
+          } catch (e) {
+            outcomes.push({ index: item.index, response: null, error: new GeminiError(`JSONパースに失敗しました: ${e.message}`, { cause: e }) });
+          }
+          return;
+        }
+
+        let serverDelay = this.extractRetryDelay_(content);
+        if (serverDelay === null) {
+          serverDelay = this.extractRetryAfter_(response);
+        }
+        const error = GeminiApiError.fromResponse_(httpStatus, content, serverDelay);
+
+        if (!policy.retryableStatuses.includes(httpStatus)) {
+          outcomes.push({ index: item.index, response: null, error: error });
+          return;
+        }
+        failed.push({ item: item, error: error, status: httpStatus, serverDelay: serverDelay });
+      });
+
+      if (failed.length === 0) {
+        break;
+      }
+
+      // サーバーから指示された待ち時間のうち最も長いものに合わせる
+      const serverDelays = failed.map(f => f.serverDelay).filter(delay => delay !== null);
+      const delayMs = this.computeRetryDelay_(attempts, serverDelays.length > 0 ? Math.max(...serverDelays) : null);
+
+      let reason = null;
+      if (attempts >= maxRetry - 1) {
+        reason = `リトライが最大回数に達しました（${maxRetry}回）`;
+      } else if (Date.now() + delayMs > deadline) {
+        reason = `リトライの期限に達しました（経過${Date.now() - startTime}ms）`;
+      }
+
+      if (reason) {
+        failed.forEach(f => {
+          outcomes.push({ index: f.item.index, response: null, error: this.createRetryExhaustedError_(f.error, reason) });
+        });
+        break;
+      }
+
+      if (policy.onRetry) {
+        policy.onRetry({
+          attempt: attempts + 1,
+          delayMs: delayMs,
+          status: failed[0].status,
+          error: failed[0].error,
+          url: failed[0].item.request.url.replace(/key=[^&]+/g, 'key=***'),
+          failedCount: failed.length
+        });
+      }
+
+      Logger.log(`${failed.length} requests failed. Retry after ${delayMs}ms.`);
+      Utilities.sleep(delayMs);
+      pending = failed.map(f => f.item);
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * リトライを打ち切る時刻を求めます。
+   *
+   * @param {number} startTime - API呼び出しの開始時刻（ミリ秒）
+   * @return {number} デッドライン（ミリ秒）
+   */
+  getRetryDeadline_(startTime) {
+    const policy = this.retryPolicy;
+    let deadline = policy.deadline !== undefined
+      ? new Date(policy.deadline).getTime()
+      : this.createdAt + _APPS_SCRIPT_EXECUTION_LIMIT_MS - policy.deadlineMarginMs;
+
+    if (policy.maxElapsedMs) {
+      deadline = Math.min(deadline, startTime + policy.maxElapsedMs);
+    }
+    return deadline;
+  }
+
+  /**
+   * 次のリトライまでの待ち時間を求めます。
+   *
+   * @param {number} attempts - 失敗した試行のインデックス（0始まり）
+   * @param {number|null} serverDelay - サーバーから指示された待ち時間（秒）
+   * @return {number} 待ち時間（ミリ秒）
+   */
+  computeRetryDelay_(attempts, serverDelay) {
+    const policy = this.retryPolicy;
+    if (serverDelay !== null && serverDelay !== undefined) {
+      return Math.ceil(serverDelay * 1000);
+    }
+
+    const backoffDelay = Math.min(policy.initialDelayMs * Math.pow(2, attempts), policy.maxDelayMs);
+    if (!policy.jitter) {
+      return backoffDelay;
+    }
+    // 半分は固定、残り半分をランダムにする（equal jitter）
+    return Math.round(backoffDelay / 2 + Math.random() * backoffDelay / 2);
+  }
+
+  /**
+   * エラーレスポンスからretryDelay（RetryInfo）を抽出します
+   * @param {string} content - レスポンスボディ
+   * @return {number|null} リトライまでの秒数、取得できない場合はnull
+   */
+  extractRetryDelay_(content) {
+    try {
+      const json = JSON.parse(content);
+      if (json.error && json.error.details) {
+        const retryInfo = json.error.details.find(
+          detail => detail['@type'] === 'type.googleapis.com/google.rpc.RetryInfo'
+        );
+        if (retryInfo && retryInfo.retryDelay) {
+          // "47s" -> 47, "0.5s" -> 0.5 の形式で秒数を抽出
+          const match = String(retryInfo.retryDelay).match(/^(\d+(?:\.\d+)?)/);
+          if (match) {
+            return parseFloat(match[1]);
+          }
+        }
+      }
+    } catch (e) {
+      Logger.log('Failed to extract retryDelay: ' + e.toString());
+    }
+    return null;
+  }
+
+  /**
+   * Retry-After ヘッダーからリトライまでの秒数を抽出します
+   * @param {HTTPResponse} response - UrlFetchAppのレスポンス
+   * @return {number|null} リトライまでの秒数、取得できない場合はnull
+   */
+  extractRetryAfter_(response) {
+    const retryAfter = this.getDictValue_('Retry-After', response.getHeaders() || {});
+    if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+      return null;
+    }
+
+    // 秒数形式
+    if (/^\d+(\.\d+)?$/.test(String(retryAfter).trim())) {
+      return parseFloat(retryAfter);
+    }
+
+    // HTTP日付形式
+    const date = new Date(retryAfter);
+    if (!isNaN(date.getTime())) {
+      return Math.max(0, (date.getTime() - Date.now()) / 1000);
+    }
+    return null;
+  }
+
+  /**
+   * 指定されたキーに対応する連想配列（オブジェクト）の値を大文字小文字を無視して取得します。
+   * キーが存在しない場合、undefinedが返されます。
+   * @param {string} key 検索するキー
+   * @param {Object} dict 検索対象の連想配列（オブジェクト）
+   * @return {any} 指定されたキーに対応する値、またはキーが存在しない場合はundefined
+   */
+  getDictValue_(key, dict) {
+    const normalizedKey = key.toLowerCase();
+    const foundKey = Object.keys(dict).find(dictKey => dictKey.toLowerCase() === normalizedKey);
+    return foundKey ? dict[foundKey] : undefined;
+  }
+
+  /**
+   * コンテンツ生成用のURLを取得します
+   */
+  getGenerateContentUrl_(params={}) {
+    const model = params.model || this.model;
+    return this.getModelMethodUrl_(model, 'generateContent');
+  }
+
+  /**
+   * トークン数を数えるためのURLを取得します
+   */
+  getCountTokensUrl_(params={}) {
+    const model = params.model || this.model;
+    return this.getModelMethodUrl_(model, 'countTokens');
+  }
+
+  /**
+   * ストリーミングでのコンテンツ生成用のURLを取得します
+   */
+  getStreamGenerateContentUrl_(params={}) {
+    const model = params.model || this.model;
+    return this.getModelMethodUrl_(model, 'streamGenerateContent') + '?alt=sse';
+  }
+
+  /**
+   * 画像を生成します。
+   * Imagen4モデルを使用して画像を生成します。
+   * 
+   * @param {string} prompt - 画像生成用のプロンプト
+   * @param {Object} [params] - 生成オプションを含む設定オブジェクト。
+   * @param {string} [params.model] - 使用するモデルの識別子。
+   * @param {number} [params.n] - 生成する画像の枚数（Geminiでは常に1）。
+   * @param {string} [params.size] - 画像サイズ（Geminiでは aspectRatio で制御）。
+   * @param {string} [params.quality] - 画質設定。
+   * @param {string} [params.response_format] - レスポンスフォーマット。
+   * @param {string} [params.style] - スタイル設定。
+   * @return {string} 生成された画像のURL
+   */
+  simpleImageGeneration(prompt, params={}) {
+    const result = this.imageGeneration(prompt, params);
+    this.throwIfResponseError_(result);
+
+    // 使用モデルを特定してレスポンス処理
+    const model = params.model || _DEFAULT_GEMINI_IMAGE_MODEL;
+    
+    if (model.includes("imagen")) {
+      // Imagen 3.0レスポンス形式
+      if (result.predictions && result.predictions[0]) {
+        const prediction = result.predictions[0];
+        if (prediction.bytesBase64Encoded) {
+          return `data:image/png;base64,${prediction.bytesBase64Encoded}`;
+        }
+      }
+      throw new GeminiError("Imagen 3.0: 画像データが見つかりません: " + JSON.stringify(result));
+    } else {
+      // Gemini 2.0レスポンス形式
+      const candidate = result.candidates && result.candidates[0];
+      if (candidate && candidate.content && candidate.content.parts) {
+        const parts = candidate.content.parts;
+        const imagePart = parts.find(part => part.inlineData);
+        
+        if (imagePart && imagePart.inlineData) {
+          // base64データをdata URIとして返す
+          const mimeType = imagePart.inlineData.mimeType || 'image/jpeg';
+          const base64Data = imagePart.inlineData.data;
+          return `data:${mimeType};base64,${base64Data}`;
+        }
+      }
+      if (candidate) {
+        const finishReasonError = this.createFinishReasonError_(candidate, params);
+        if (finishReasonError) {
+          throw finishReasonError;
+        }
+      }
+      throw new GeminiError("Gemini 2.0: 画像データが見つかりません: " + JSON.stringify(result));
+    }
+  }
+
+  /**
+   * 画像を生成します。
+   * Imagen4モデルを使用した詳細な画像生成API。
+   * 
+   * @param {string} prompt - 画像生成用のプロンプト
+   * @param {Object} [params] - 生成オプションを含む設定オブジェクト。
+   * @param {string} [params.model] - 使用するモデルの識別子。
+   * @param {string} [params.aspectRatio] - アスペクト比（"1:1", "9:16", "16:9"など）。
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Object} Gemini APIからのレスポンス全体
+   */
+  imageGeneration(prompt, params={}) {
+    // 使用モデルに応じて構造を切り替え
+    const model = params.model || _DEFAULT_GEMINI_IMAGE_MODEL;
+    
+    if (model.includes("imagen")) {
+      // Imagen 3.0 API構造
+      const payload = {
+        instances: [
+          {
+            prompt: prompt
+          }
+        ]
+      };
+
+      // parametersオブジェクト
+      const parameters = {};
+      
+      if (params.aspectRatio) {
+        // aspectRatioの値検証
+        const validRatios = ["1:1", "9:16", "16:9", "4:3", "3:4"];
+        if (!validRatios.includes(params.aspectRatio)) {
+          throw new Error(`Invalid aspectRatio: ${params.aspectRatio}. Valid values: ${validRatios.join(", ")}`);
+        }
+        parameters.aspectRatio = params.aspectRatio;
+      }
+      
+      if (params.sampleCount) {
+        parameters.sampleCount = params.sampleCount;
+      } else {
+        parameters.sampleCount = 1; // デフォルト
+      }
+
+      if (Object.keys(parameters).length > 0) {
+        payload.parameters = parameters;
+      }
+
+      const url = this.getImageGenerationUrl_(params);
+      return this.callApiWithCache_('imageGeneration', model, url, payload, params);
+      
+    } else {
+      // Gemini 2.0 API構造
+      const payload = {
+        contents: [
+          {
+            role: "user",
+            parts: [
+              {
+                text: prompt
+              }
+            ]
+          }
+        ]
+      };
+
+      const generationConfig = {
+        responseModalities: ["TEXT", "IMAGE"]
+      };
+
+      payload.generationConfig = generationConfig;
+
+      const url = this.getImageGenerationUrl_(params);
+      return this.callApiWithCache_('imageGeneration', model, url, payload, params);
+    }
+  }
+
+  /**
+   * テキストのEmbedding（ベクトル表現）を取得します。
+   * シンプルな結果だけを返します。
+   *
+   * @param {string|string[]} input - Embeddingを生成するためのテキスト（文字列または文字列の配列）
+   * @param {Object} [params] - 生成オプションを含む設定オブジェクト
+   * @param {string} [params.model] - 使用するモデルの識別子（例: "text-embedding-004"）
+   * @param {string} [params.taskType] - タスクタイプ（RETRIEVAL_QUERY, RETRIEVAL_DOCUMENT, など）
+   * @return {number[]|number[][]} 入力テキストごとのEmbedding（単一文字列の場合は単一配列、文字列配列の場合は配列の配列）
+   * @throws {Error} Gemini APIレイヤでのエラーが発生した場合に例外をスローします。
+   */
+  simpleEmbedding(input, params={}) {
+    const result = this.createEmbedding(input, params);
+    if (result.error) {
+      throw GeminiApiError.fromErrorBody_(result.error);
+    }
+
+    // Vertex AIのレスポンス形式
+    if (result.predictions) {
+      const vectors = result.predictions.map(prediction => prediction.embeddings.values);
+      return Array.isArray(input) ? vectors : vectors[0];
+    }
+
+    // 入力が単一文字列の場合は単一配列、文字列配列の場合は配列の配列を返す
+    if (Array.isArray(input)) {
+      // 配列の各要素に対応するembeddingを結果の順序通りに取得
+      return result.embeddings.map(item => item.values);
+    } else {
+      // 単一文字列の場合は最初のembeddingのみを返す
+      return result.embedding.values;
+    }
+  }
+
+  /**
+   * テキストのEmbedding（ベクトル表現）を取得します。
+   * APIからのレスポンス全体を返します。
+   *
+   * @param {string|string[]} input - Embeddingを生成するためのテキスト（文字列または文字列の配列）
+   * @param {Object} [params] - 生成オプションを含む設定オブジェクト
+   * @param {string} [params.model] - 使用するモデルの識別子（例: "text-embedding-004"）
+   * @param {string} [params.taskType] - タスクタイプ（RETRIEVAL_QUERY, RETRIEVAL_DOCUMENT, など）
+   * @param {number} [params.maxRetry] - 最大リトライ回数
+   * @return {Object} Gemini APIからのレスポンス全体（embedding, usage情報などを含む）
+   * @throws {Error} Gemini APIレイヤでのエラーが発生した場合に例外をスローします。
+   */
+  createEmbedding(input, params={}) {
+    const model = params.model || "text-embedding-004";
+
+    if (this.backend === 'vertex') {
+      // Vertex AIは単一・複数とも predict の instances で指定する
+      const texts = Array.isArray(input) ? input : [input];
+      const payload = {
+        instances: texts.map(text => ({
+          content: text,
+          task_type: params.taskType || "RETRIEVAL_DOCUMENT"
+        }))
+      };
+
+      const url = this.getEmbeddingUrl_(params);
+      return this.callApiWithCache_('embedding', model, url, payload, params);
+    }
+    
+    if (Array.isArray(input)) {
+      // バッチ処理：複数のテキストを一度にembedding
+      const payload = {
+        requests: input.map(text => ({
+          model: `models/${model}`,
+          content: {
+            parts: [{
+              text: text
+            }]
+          },
+          taskType: params.taskType || "RETRIEVAL_DOCUMENT"
+        }))
+      };
+
+      const url = this.getBatchEmbeddingUrl_(params);
+      return this.callApiWithCache_('embedding', model, url, payload, params);
+    } else {
+      // 単一テキストのembedding
+      const payload = {
+        model: `models/${model}`,
+        content: {
+          parts: [{
+            text: input
+          }]
+        },
+        taskType: params.taskType || "RETRIEVAL_DOCUMENT"
+      };
+
+      const url = this.getEmbeddingUrl_(params);
+      return this.callApiWithCache_('embedding', model, url, payload, params);
+    }
+  }
+
+  /**
+   * 動画を分析します。
+   * Gemini独自の動画分析機能です。
+   * 
+   * @param {Blob|Object|string} video - 動画ファイルのBlob、uploadFile() の戻り値、またはDriveのファイルIDかURL
+   * @param {string} prompt - 動画分析用のプロンプト
+   * @param {Object} [params] - 分析オプションを含む設定オブジェクト
+   * @return {string} 動画分析結果のテキスト
+   */
+  simpleVideoAnalysis(video, prompt, params={}) {
+    const result = this.videoAnalysis(video, prompt, params);
+    this.throwIfResponseError_(result);
+
+    const candidate = result.candidates && result.candidates[0];
+    if (candidate && candidate.content && candidate.content.parts) {
+      const text = this.getTextFromParts_(candidate.content.parts);
+      if (text) {
+        return text;
+      }
+    }
+    if (candidate) {
+      const finishReasonError = this.createFinishReasonError_(candidate, params);
+      if (finishReasonError) {
+        throw finishReasonError;
+      }
+    }
+
+    throw new GeminiError("動画分析に失敗しました: " + JSON.stringify(result));
+  }
+
+  /**
+   * 動画を分析します。
+   * Gemini独自の動画分析機能の詳細版。
+   * 
+   * @param {Blob|Object|string} video - 動画ファイルのBlob、uploadFile() の戻り値、またはDriveのファイルIDかURL
+   * @param {string} prompt - 動画分析用のプロンプト
+   * @param {Object} [params] - 分析オプションを含む設定オブジェクト
+   * @return {Object} Gemini APIからのレスポンス全体
+   */
+  videoAnalysis(video, prompt, params={}) {
+    const payload = {
+      contents: [
+        {
+          role: "user",
+          parts: [
+            {
+              text: prompt
+            },
+            ...this.mediaToParts_(video, params)
+          ]
+        }
+      ]
+    };
+
+    // 生成設定
+    const generationConfig = {};
+    const temperature = params.temperature || this.temperature;
+    const maxTokens = params.maxTokens || this.maxTokens;
+    
+    if (temperature !== undefined) {
+      generationConfig.temperature = temperature;
+    }
+    if (maxTokens !== undefined) {
+      generationConfig.maxOutputTokens = maxTokens;
+    }
+
+    if (Object.keys(generationConfig).length > 0) {
+      payload.generationConfig = generationConfig;
+    }
+
+    const url = this.getGenerateContentUrl_(params);
+    return this.recordUsage_('videoAnalysis', params.model || this.model, this.callApi_(url, payload, params.maxRetry));
+  }
+
+  /**
+   * 音声を文字起こしします。
+   * mp3 / wav / m4a / ogg / flac などの音声（会議の録画などの動画も可）をテキストにします。
+   *
+   * 使用方法:
+   * const text = client.simpleTranscription(DriveApp.getFileById(id).getBlob(), { language: "ja" });
+   *
+   * @param {Blob|Object|string} audio - 音声のBlob、uploadFile() の戻り値、またはDriveのファイルIDかURL
+   * @param {Object} [params] - 文字起こしオプションを含む設定オブジェクト（simpleChat の params も指定できます）
+   * @param {string} [params.language] - 音声の言語のヒント（"ja", "en" など）。
+   * @param {boolean} [params.diarization=false] - 話者を区別して「話者: 発言」の形式にするかどうか。
+   * @param {string} [params.instructions] - 専門用語や固有名詞など、文字起こしへの追加の指示。
+   * @param {number} [params.maxTokens] - 出力トークンの最大数（省略時は config.maxTokens）。
+   *   長い録音では文字起こしが上限に達して MaxTokensError になるため、モデルの出力上限の範囲で大きな値を指定してください。
+   * @return {string} 文字起こしのテキスト
+   */
+  simpleTranscription(audio, params={}) {
+    const parts = this.buildTranscriptionParts_(audio, params, false);
+    return this.simpleChat(parts, params);
+  }
+
+  /**
+   * 音声を文字起こしし、タイムスタンプ付きのセグメントに分けて返します。
+   * 出力は responseSchema で構造化し、スキーマに合わない場合は simpleChat と同様に修正を依頼します。
+   *
+   * 使用方法:
+   * const result = client.transcribe("DRIVE_FILE_ID", { language: "ja", diarization: true });
+   * result.segments.forEach(s => Logger.log(`${s.start}-${s.end} ${s.speaker}: ${s.text}`));
+   * DriveApp.createFile("meeting.srt", client.toSrt(result));
+   *
+   * 戻り値のプロパティ:
+   * - text: 全体のテキスト（diarization 指定時は「話者: 発言」の行）
+   * - language: 認識された言語
+   * - segments: [{start, end, speaker, text}]（start / end は秒数、speaker は diarization 指定時のみ）
+   *
+   * @param {Blob|Object|string} audio - 音声のBlob、uploadFile() の戻り値、またはDriveのファイルIDかURL
+   * @param {Object} [params] - simpleTranscription と同じ設定オブジェクト
+   * @return {Object} 文字起こしの結果
+   */
+  transcribe(audio, params={}) {
+    const parts = this.buildTranscriptionParts_(audio, params, true);
+
+    const segmentProperties = {
+      start: { type: "string", pattern: _TRANSCRIPTION_TIMESTAMP_PATTERN, description: "開始時刻（HH:MM:SS.mmm）" },
+      end: { type: "string", pattern: _TRANSCRIPTION_TIMESTAMP_PATTERN, description: "終了時刻（HH:MM:SS.mmm）" },
+      text: { type: "string", description: "発言内容" }
+    };
+    if (params.diarization) {
+      segmentProperties.speaker = { type: "string", description: "話者（名前がわからない場合は「話者A」「話者B」など）" };
+    }
+    const responseSchema = {
+      type: "object",
+      properties: {
+        language: { type: "string", description: "音声の言語（BCP-47の言語コード）" },
+        segments: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: segmentProperties,
+            required: Object.keys(segmentProperties)
+          }
+        }
+      },
+      required: ["language", "segments"]
+    };
+
+    const json = this.simpleChat(parts, Object.assign({}, params, { responseSchema: responseSchema }));
+    const segments = json.segments.map(segment => {
+      const result = {
+        start: this.parseTimestamp_(segment.start),
+        end: this.parseTimestamp_(segment.end),
+        text: segment.text
+      };
+      if (params.diarization) {
+        result.speaker = segment.speaker;
+      }
+      return result;
+    });
+
+    return {
+      text: segments.map(segment => segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text).join('\n'),
+      language: json.language,
+      segments: segments
+    };
+  }
+
+  /**
+   * 文字起こしの結果をSRT形式の字幕にします。
+   *
+   * @param {Object|Object[]} transcription - transcribe() の戻り値、またはその segments
+   * @return {string} SRT形式の文字列
+   */
+  toSrt(transcription) {
+    return this.getTranscriptionSegments_(transcription)
+      .map((segment, i) => [
+        i + 1,
+        `${this.formatSubtitleTime_(segment.start, ',')} --> ${this.formatSubtitleTime_(segment.end, ',')}`,
+        segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text
+      ].join('\n'))
+      .join('\n\n') + '\n';
+  }
+
+  /**
+   * 文字起こしの結果をWebVTT形式の字幕にします。
+   * 話者は <v 話者> タグで表し、話者とテキストの & < > はエスケープします。
+   *
+   * @param {Object|Object[]} transcription - transcribe() の戻り値、またはその segments
+   * @return {string} WebVTT形式の文字列
+   */
+  toVtt(transcription) {
+    // & < > はエスケープする（"-->" も "--&gt;" になる）
+    const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const cues = this.getTranscriptionSegments_(transcription)
+      .map(segment => [
+        `${this.formatSubtitleTime_(segment.start, '.')} --> ${this.formatSubtitleTime_(segment.end, '.')}`,
+        segment.speaker ? `<v ${escape(segment.speaker)}>${escape(segment.text)}` : escape(segment.text)
+      ].join('\n'));
+    return ['WEBVTT'].concat(cues).join('\n\n') + '\n';
+  }
+
+  /**
+   * 文字起こしの指示と音声の parts 配列を構築します
+   */
+  buildTranscriptionParts_(audio, params, structured) {
+    const audioParts = this.mediaToParts_(audio, params);
+    audioParts.forEach(part => {
+      const data = part.inlineData || part.fileData;
+      if (data && data.mimeType && !/^(audio|video)\//.test(data.mimeType)) {
+        throw new Error(`Unsupported audio format: ${data.mimeType}`);
+      }
+    });
+
+    const instructions = ["この音声を一字一句正確に文字起こししてください。要約や言い換えはしないでください。"];
+    if (params.language) {
+      instructions.push(`音声の言語は ${params.language} です。`);
+    }
+    if (params.diarization) {
+      instructions.push(structured
+        ? "話者を区別し、話者が替わるたびにセグメントを分けてください。"
+        : "話者を区別し、話者が替わるたびに改行して「話者: 発言」の形式で出力してください。");
+    }
+    if (structured) {
+      instructions.push("発言を文や話者の区切りでセグメントに分け、音声の先頭からの開始時刻と終了時刻を付けてください。");
+    } else {
+      instructions.push("文字起こしのテキストだけを出力してください。");
+    }
+    if (params.instructions) {
+      instructions.push(params.instructions);
+    }
+
+    return [instructions.join('\n')].concat(audioParts);
+  }
+
+  /**
+   * 時刻の文字列（SS, MM:SS, HH:MM:SS、小数部あり）を秒数にします
+   */
+  parseTimestamp_(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    const text = String(value).trim();
+    if (!new RegExp(_TRANSCRIPTION_TIMESTAMP_PATTERN).test(text)) {
+      throw new GeminiError(`タイムスタンプを解釈できません: ${value}`);
+    }
+    return text.split(':').reduce((total, field) => total * 60 + parseFloat(field), 0);
+  }
+
+  /**
+   * 秒数を字幕の時刻（HH:MM:SS,mmm）にします。separator はミリ秒の前の区切り文字です
+   */
+  formatSubtitleTime_(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const pad = (value, length) => String(value).padStart(length, '0');
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)}${separator}${pad(totalMs % 1000, 3)}`;
+  }
+
+  /**
+   * transcribe() の戻り値、または segments の配列からセグメントを取り出します
+   */
+  getTranscriptionSegments_(transcription) {
+    const segments = Array.isArray(transcription) ? transcription : transcription && transcription.segments;
+    if (!Array.isArray(segments)) {
+      throw new Error('Invalid transcription: must be the result of transcribe() or its segments');
+    }
+    return segments;
+  }
+
+  /**
+   * テキストを読み上げた音声を生成します。
+   * Gemini の TTS モデルが返すPCMにWAVヘッダーを付け、そのまま再生・保存できるBlobにします。
+   *
+   * 使用方法:
+   * const wav = client.simpleSpeech("明るい声で: おはようございます！", { voice: "Puck" });
+   * DriveApp.createFile(wav);
+   *
+   * // 複数話者の会話（テキスト中の話者名と speaker を一致させます）
+   * const dialog = client.simpleSpeech("田中: こんにちは\n佐藤: どうも", {
+   *   multiSpeaker: [{ speaker: "田中", voice: "Kore" }, { speaker: "佐藤", voice: "Puck" }]
+   * });
+   *
+   * @param {string} text - 読み上げるテキスト（話し方の指示を含めることもできます）
+   * @param {Object} [params] - 生成オプションを含む設定オブジェクト
+   * @param {string} [params.model] - 使用するTTSモデルの識別子。
+   * @param {string} [params.voice="Kore"] - 声の名前（Kore, Puck, Charon, Zephyr など）。
+   * @param {Object[]} [params.multiSpeaker] - 複数話者の設定 [{speaker, voice}]（ちょうど2人）。1人の場合は voice を指定してください。
+   * @param {string} [params.languageCode] - 言語コード（"ja-JP" など）。省略時は自動判定。
+   * @param {string} [params.fileName="speech.wav"] - Blobのファイル名。
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Blob} WAV形式（audio/wav）の音声
+   */
+  simpleSpeech(text, params={}) {
+    const result = this.speechGeneration(text, params);
+    this.throwIfResponseError_(result);
+
+    const candidate = result.candidates && result.candidates[0];
+    const audioParts = ((candidate && candidate.content && candidate.content.parts) || [])
+      .filter(part => part.inlineData && part.inlineData.data);
+
+    if (audioParts.length === 0) {
+      if (candidate) {
+        const finishReasonError = this.createFinishReasonError_(candidate, params);
+        if (finishReasonError) {
+          throw finishReasonError;
+        }
+      }
+      throw new GeminiError("音声データが見つかりません: " + JSON.stringify(result));
+    }
+
+    const fileName = params.fileName || "speech.wav";
+    const mimeType = audioParts[0].inlineData.mimeType || '';
+    // 各 part を1回だけデコードし、バイト列をまとめて連結する（1要素ずつコピーすると長い音声で時間がかかる）
+    const chunks = audioParts.map(part => Utilities.base64Decode(part.inlineData.data));
+    const bytes = chunks.length === 1 ? chunks[0] : [].concat(...chunks);
+
+    // WAVなどコンテナ付きで返ってきた場合はそのまま
+    if (!/^audio\/(L16|pcm)/i.test(mimeType)) {
+      return Utilities.newBlob(bytes, mimeType, fileName);
+    }
+
+    const rate = /rate=(\d+)/.exec(mimeType);
+    return this.buildWavBlob_(bytes, rate ? parseInt(rate[1], 10) : _DEFAULT_TTS_SAMPLE_RATE, fileName);
+  }
+
+  /**
+   * テキストを読み上げた音声を生成します。
+   * simpleSpeech の詳細版で、Gemini APIからのレスポンス全体（base64のPCMを含む）を返します。
+   * レスポンスキャッシュ（config.responseCache）の対象外です。
+   *
+   * @param {string} text - 読み上げるテキスト
+   * @param {Object} [params] - simpleSpeech と同じ設定オブジェクト
+   * @return {Object} Gemini APIからのレスポンス全体
+   */
+  speechGeneration(text, params={}) {
+    const model = params.model || _DEFAULT_GEMINI_TTS_MODEL;
+
+    const payload = {
+      contents: [
+        {
+          role: "user",
+          parts: [
+            {
+              text: text
+            }
+          ]
+        }
+      ],
+      generationConfig: {
+        responseModalities: ["AUDIO"],
+        speechConfig: this.buildSpeechConfig_(params)
+      }
+    };
+
+    // 音声のレスポンスは数MBになりCacheServiceに収まらないので、レスポンスキャッシュは使わない
+    const url = this.getModelMethodUrl_(model, 'generateContent');
+    return this.recordUsage_('speechGeneration', model, this.callApi_(url, payload, params.maxRetry));
+  }
+
+  /**
+   * voice / multiSpeaker / languageCode から speechConfig を構築します
+   */
+  buildSpeechConfig_(params) {
+    const toVoiceConfig = voice => ({ prebuiltVoiceConfig: { voiceName: voice } });
+    const speechConfig = {};
+
+    if (params.multiSpeaker) {
+      if (!Array.isArray(params.multiSpeaker) || params.multiSpeaker.length !== _TTS_MULTI_SPEAKER_COUNT) {
+        throw new Error(`Invalid multiSpeaker: must be an array of exactly ${_TTS_MULTI_SPEAKER_COUNT} {speaker, voice} objects`);
+      }
+      speechConfig.multiSpeakerVoiceConfig = {
+        speakerVoiceConfigs: params.multiSpeaker.map(config => {
+          if (!config || !config.speaker || !config.voice) {
+            throw new Error('Invalid multiSpeaker: each item must have speaker and voice');
+          }
+          return { speaker: config.speaker, voiceConfig: toVoiceConfig(config.voice) };
+        })
+      };
+    } else {
+      speechConfig.voiceConfig = toVoiceConfig(params.voice || _DEFAULT_TTS_VOICE);
+    }
+
+    if (params.languageCode) {
+      speechConfig.languageCode = params.languageCode;
+    }
+    return speechConfig;
+  }
+
+  /**
+   * 16bitリニアPCM（モノラル）のバイト列にWAVヘッダーを付けたBlobを作成します
+   *
+   * @param {number[]} pcmBytes - PCMのバイト列
+   * @param {number} sampleRate - サンプリングレート
+   * @param {string} fileName - Blobのファイル名
+   * @return {Blob} audio/wav のBlob
+   */
+  buildWavBlob_(pcmBytes, sampleRate, fileName) {
+    const channels = 1;
+    const bitsPerSample = 16;
+    const blockAlign = channels * bitsPerSample / 8;
+
+    const header = [];
+    const writeString = value => value.split('').forEach(c => header.push(c.charCodeAt(0)));
+    const writeUint = (value, length) => {
+      for (let i = 0; i < length; i++) {
+        header.push((value >>> (8 * i)) & 0xff);
+      }
+    };
+
+    writeString('RIFF');
+    writeUint(36 + pcmBytes.length, 4);
+    writeString('WAVE');
+    writeString('fmt ');
+    writeUint(16, 4);                        // fmt チャンクのサイズ
+    writeUint(1, 2);                         // リニアPCM
+    writeUint(channels, 2);
+    writeUint(sampleRate, 4);
+    writeUint(sampleRate * blockAlign, 4);   // バイトレート
+    writeUint(blockAlign, 2);
+    writeUint(bitsPerSample, 2);
+    writeString('data');
+    writeUint(pcmBytes.length, 4);
+
+    // GASのBlobは符号付きのバイト列を受け取る
+    const signedHeader = header.map(byte => byte > 127 ? byte - 256 : byte);
+    return Utilities.newBlob(signedHeader.concat(pcmBytes), 'audio/wav', fileName);
+  }
+
+  /**
+   * Files APIでファイルをアップロードします。
+   * インラインで送れない大きな動画や音声などを、generateContent の images / videos / files に
+   * 渡せるようにします。アップロード後、ファイルの状態が ACTIVE になるまで待機します。
+   * アップロードしたファイルは48時間後に自動的に削除されます。
+   *
+   * 使用方法:
+   * const file = client.uploadFile(DriveApp.getFileById(id).getBlob(), { displayName: "会議録画" });
+   * client.simpleChat("この動画を要約して", { files: [file] });
+   *
+   * @param {Blob} blob - アップロードするファイルのBlob
+   * @param {Object} [params] - アップロードオプションを含む設定オブジェクト
+   * @param {string} [params.displayName] - ファイルの表示名。省略時はBlobの名前。
+   * @param {string} [params.mimeType] - MIMEタイプ。省略時はBlobのContent-Type（なければ拡張子やファイルの中身から判定）。
+   * @param {boolean} [params.waitForActive=true] - ACTIVE になるまで待機するかどうか。
+   * @param {number} [params.timeoutMs=120000] - ACTIVE になるまで待機する最大時間（ミリ秒）。
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Object} ファイルオブジェクト（name, uri, mimeType, state など）
+   * @throws {GeminiError} アップロードしたファイルの処理に失敗した場合、または待機がタイムアウトした場合
+   */
+  uploadFile(blob, params={}) {
+    this.assertFilesApiAvailable_();
+
+    if (!blob || typeof blob.getBytes !== 'function') {
+      throw new Error('Invalid file: must be a valid Blob object');
+    }
+
+    const bytes = blob.getBytes();
+    const mimeType = params.mimeType || this.detectMimeType_(blob, bytes);
+    if (!mimeType) {
+      throw new Error('File must have a valid MIME type');
+    }
+
+    const displayName = params.displayName || (typeof blob.getName === 'function' && blob.getName()) || undefined;
+
+    // 1. レジューマブルアップロードの開始
+    const startOptions = {
+      method: 'post',
+      contentType: 'application/json',
+      headers: Object.assign({
+        'X-Goog-Upload-Protocol': 'resumable',
+        'X-Goog-Upload-Command': 'start',
+        'X-Goog-Upload-Header-Content-Length': String(bytes.length),
+        'X-Goog-Upload-Header-Content-Type': mimeType
+      }, this.getAuthorizationHeader_()),
+      payload: JSON.stringify({ file: displayName ? { displayName: displayName } : {} }),
+      muteHttpExceptions: true
+    };
+
+    Logger.log(`starting upload: ${bytes.length} bytes, ${mimeType}`);
+    const uploadUrl = this.requestWithRetry_(`${_GEMINI_UPLOAD_BASE_URL}/files`, startOptions, params.maxRetry,
+      (content, response) => this.getDictValue_('X-Goog-Upload-URL', response.getHeaders()));
+
+    if (!uploadUrl) {
+      throw new GeminiError('Files API: アップロードURLを取得できませんでした。');
+    }
+
+    // 2. チャンクごとにアップロードし、最後のチャンクで確定
+    let result = null;
+    for (let offset = 0; offset < bytes.length || offset === 0; offset += _FILE_UPLOAD_CHUNK_BYTES) {
+      const chunk = bytes.slice(offset, offset + _FILE_UPLOAD_CHUNK_BYTES);
+      const isLast = offset + _FILE_UPLOAD_CHUNK_BYTES >= bytes.length;
+
+      const uploadOptions = {
+        method: 'post',
+        contentType: mimeType,
+        headers: Object.assign({
+          'X-Goog-Upload-Offset': String(offset),
+          'X-Goog-Upload-Command': isLast ? 'upload, finalize' : 'upload'
+        }, this.getAuthorizationHeader_()),
+        payload: chunk,
+        muteHttpExceptions: true
+      };
+
+      result = this.requestWithRetry_(uploadUrl, uploadOptions, params.maxRetry,
+        content => isLast ? JSON.parse(content) : null);
+
+      if (isLast) {
+        break;
+      }
+    }
+
+    const file = result.file;
+    Logger.log(`uploaded file: ${file.name}, state=${file.state}`);
+
+    if (params.waitForActive === false) {
+      return file;
+    }
+    return this.waitForFileActive_(file, params);
+  }
+
+  /**
+   * アップロードしたファイルの状態が ACTIVE になるまで待機します。
+   *
+   * @param {Object} file - ファイルオブジェクト
+   * @param {Object} [params] - uploadFile と同じ設定オブジェクト
+   * @return {Object} ACTIVE になったファイルオブジェクト
+   * @throws {GeminiError} 処理に失敗した場合、またはタイムアウトした場合
+   */
+  waitForFileActive_(file, params={}) {
+    const timeoutMs = params.timeoutMs || _DEFAULT_FILE_ACTIVE_TIMEOUT_MS;
+    const startTime = Date.now();
+
+    let current = file;
+    while (current.state === 'PROCESSING') {
+      if (Date.now() - startTime > timeoutMs) {
+        throw new GeminiError(`Files API: ファイルの処理がタイムアウトしました（${timeoutMs}ms）: ${current.name}`);
+      }
+      Utilities.sleep(_FILE_STATE_POLL_INTERVAL_MS);
+      current = this.getFile(current.name, params);
+    }
+
+    if (current.state === 'FAILED') {
+      throw new GeminiError('Files API: ファイルの処理に失敗しました: ' + JSON.stringify(current.error || current));
+    }
+    return current;
+  }
+
+  /**
+   * Files APIでアップロードしたファイルの一覧を取得します。
+   *
+   * @param {Object} [params] - 取得オプションを含む設定オブジェクト
+   * @param {number} [params.pageSize] - 1ページあたりの件数（最大100）。
+   * @param {string} [params.pageToken] - 前回のレスポンスの nextPageToken。
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Object} レスポンス（files, nextPageToken）
+   */
+  listFiles(params={}) {
+    this.assertFilesApiAvailable_();
+
+    const query = [];
+    if (params.pageSize) query.push(`pageSize=${params.pageSize}`);
+    if (params.pageToken) query.push(`pageToken=${encodeURIComponent(params.pageToken)}`);
+
+    const url = `${_GEMINI_API_BASE_URL}/files` + (query.length > 0 ? '?' + query.join('&') : '');
+    const result = this.callApiWithMethod_('get', url, null, params.maxRetry);
+    return { files: result.files || [], nextPageToken: result.nextPageToken || null };
+  }
+
+  /**
+   * Files APIでアップロードしたファイルの情報を取得します。
+   *
+   * @param {string|Object} file - ファイル名（"files/abc123"）、またはファイルオブジェクト
+   * @param {Object} [params] - 取得オプションを含む設定オブジェクト
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Object} ファイルオブジェクト（name, uri, mimeType, state など）
+   */
+  getFile(file, params={}) {
+    this.assertFilesApiAvailable_();
+    return this.callApiWithMethod_('get', `${_GEMINI_API_BASE_URL}/${this.toFileName_(file)}`, null, params.maxRetry);
+  }
+
+  /**
+   * Files APIでアップロードしたファイルを削除します。
+   *
+   * @param {string|Object} file - ファイル名（"files/abc123"）、またはファイルオブジェクト
+   * @param {Object} [params] - 削除オプションを含む設定オブジェクト
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   */
+  deleteFile(file, params={}) {
+    this.assertFilesApiAvailable_();
+    this.callApiWithMethod_('delete', `${_GEMINI_API_BASE_URL}/${this.toFileName_(file)}`, null, params.maxRetry);
+  }
+
+  /**
+   * ファイル名またはファイルオブジェクトから "files/xxx" 形式のファイル名を取得します
+   */
+  toFileName_(file) {
+    const name = typeof file === 'string' ? file : file && file.name;
+    if (!name) {
+      throw new Error('file name is required');
+    }
+    return name.startsWith('files/') ? name : `files/${name}`;
+  }
+
+  /**
+   * Files APIが使える接続先か検証します
+   */
+  assertFilesApiAvailable_() {
+    if (this.backend === 'vertex') {
+      throw new GeminiError('Files API is not available on the Vertex AI backend. Use Cloud Storage URIs as files instead.');
+    }
+  }
+
+  /**
+   * コンテキストキャッシュを作成します。
+   * 何度も送る長いマニュアルや表データなどをキャッシュしておくと、generateContent / simpleChat の
+   * params.cachedContent に指定するだけで、送信と課金が1回で済みます。
+   * キャッシュできる最小トークン数はモデルによって異なります。
+   *
+   * 使用方法:
+   * const cache = client.createCache({ contents: manualText, systemInstruction: "マニュアルに基づいて回答して", ttl: 3600 });
+   * client.simpleChat("返品の手順は？", { cachedContent: cache });
+   *
+   * @param {Object} params - キャッシュの設定オブジェクト
+   * @param {string} [params.model] - 使用するモデルの識別子。キャッシュを使う呼び出しでも同じモデルを指定してください。
+   * @param {string|Object[]} [params.contents] - キャッシュする内容。テキスト、parts 配列、または contents 配列。
+   * @param {Blob[]|Object[]} [params.images] - キャッシュに含める画像。
+   * @param {Blob[]|Object[]} [params.videos] - キャッシュに含める動画。
+   * @param {Blob[]|Object[]} [params.files] - キャッシュに含めるその他のファイル。
+   * @param {string} [params.systemInstruction] - システム指示。
+   * @param {Object[]} [params.tools] - ツールのリスト。
+   * @param {number|string} [params.ttl] - 有効期間（秒数、または "3600s" 形式）。
+   * @param {string} [params.expireTime] - 有効期限（RFC 3339形式）。ttl と同時には指定できません。
+   * @param {string} [params.displayName] - キャッシュの表示名。
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Object} キャッシュオブジェクト（name, model, expireTime, usageMetadata など）
+   */
+  createCache(params={}) {
+    const model = params.model || this.model;
+    const payload = {
+      model: this.toModelResourceName_(model)
+    };
+
+    if (params.contents !== undefined || params.images || params.videos || params.files) {
+      payload.contents = this.toContents_(params.contents, params);
+    }
+
+    if (params.systemInstruction) {
+      payload.systemInstruction = {
+        parts: [{ text: params.systemInstruction }]
+      };
+    }
+
+    if (params.tools || params.functions) {
+      payload.tools = this.buildToolsPayload_(params.tools || params.functions);
+    }
+
+    if (params.ttl !== undefined) {
+      payload.ttl = this.toDurationString_(params.ttl);
+    } else if (params.expireTime) {
+      payload.expireTime = params.expireTime;
+    }
+
+    if (params.displayName) {
+      payload.displayName = params.displayName;
+    }
+
+    return this.callApi_(this.getCachesUrl_(), payload, params.maxRetry);
+  }
+
+  /**
+   * コンテキストキャッシュの一覧を取得します。
+   *
+   * @param {Object} [params] - 取得オプションを含む設定オブジェクト
+   * @param {number} [params.pageSize] - 1ページあたりの件数。
+   * @param {string} [params.pageToken] - 前回のレスポンスの nextPageToken。
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Object} レスポンス（cachedContents, nextPageToken）
+   */
+  listCaches(params={}) {
+    const query = [];
+    if (params.pageSize) query.push(`pageSize=${params.pageSize}`);
+    if (params.pageToken) query.push(`pageToken=${encodeURIComponent(params.pageToken)}`);
+
+    const url = this.getCachesUrl_() + (query.length > 0 ? '?' + query.join('&') : '');
+    const result = this.callApiWithMethod_('get', url, null, params.maxRetry);
+    return { cachedContents: result.cachedContents || [], nextPageToken: result.nextPageToken || null };
+  }
+
+  /**
+   * コンテキストキャッシュの情報を取得します。
+   *
+   * @param {string|Object} cache - キャッシュ名（"cachedContents/abc123"）、またはキャッシュオブジェクト
+   * @param {Object} [params] - 取得オプションを含む設定オブジェクト
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Object} キャッシュオブジェクト
+   */
+  getCache(cache, params={}) {
+    return this.callApiWithMethod_('get', this.getResourceUrl_(this.toCacheName_(cache)), null, params.maxRetry);
+  }
+
+  /**
+   * コンテキストキャッシュの有効期限を更新します。
+   *
+   * @param {string|Object} cache - キャッシュ名（"cachedContents/abc123"）、またはキャッシュオブジェクト
+   * @param {Object} params - 更新内容を含む設定オブジェクト
+   * @param {number|string} [params.ttl] - 新しい有効期間（秒数、または "3600s" 形式）。
+   * @param {string} [params.expireTime] - 新しい有効期限（RFC 3339形式）。
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Object} 更新後のキャッシュオブジェクト
+   */
+  updateCache(cache, params={}) {
+    let payload;
+    let updateMask;
+    if (params.ttl !== undefined) {
+      payload = { ttl: this.toDurationString_(params.ttl) };
+      updateMask = 'ttl';
+    } else if (params.expireTime) {
+      payload = { expireTime: params.expireTime };
+      updateMask = 'expireTime';
+    } else {
+      throw new Error('ttl or expireTime is required');
+    }
+
+    const url = this.getResourceUrl_(this.toCacheName_(cache)) + `?updateMask=${updateMask}`;
+    return this.callApiWithMethod_('patch', url, payload, params.maxRetry);
+  }
+
+  /**
+   * コンテキストキャッシュを削除します。
+   *
+   * @param {string|Object} cache - キャッシュ名（"cachedContents/abc123"）、またはキャッシュオブジェクト
+   * @param {Object} [params] - 削除オプションを含む設定オブジェクト
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   */
+  deleteCache(cache, params={}) {
+    this.callApiWithMethod_('delete', this.getResourceUrl_(this.toCacheName_(cache)), null, params.maxRetry);
+  }
+
+  /**
+   * 秒数を "3600s" 形式の文字列に変換します
+   */
+  toDurationString_(ttl) {
+    return typeof ttl === 'number' ? `${ttl}s` : String(ttl);
+  }
+
+  /**
+   * キャッシュ名またはキャッシュオブジェクトからキャッシュのリソース名を取得します
+   */
+  toCacheName_(cache) {
+    const name = typeof cache === 'string' ? cache : cache && cache.name;
+    if (!name) {
+      throw new Error('cache name is required');
+    }
+    if (name.startsWith('cachedContents/') || name.startsWith('projects/')) {
+      return name;
+    }
+    return this.backend === 'vertex'
+      ? `projects/${this.projectId}/locations/${this.location}/cachedContents/${name}`
+      : `cachedContents/${name}`;
+  }
+
+  /**
+   * コンテキストキャッシュAPIのURLを取得します
+   */
+  getCachesUrl_() {
+    if (this.backend === 'vertex') {
+      return `${this.getVertexBaseUrl_()}/cachedContents`;
+    }
+    return `${_GEMINI_API_BASE_URL}/cachedContents`;
+  }
+
+  /**
+   * Batch APIのジョブを作成します。
+   * 大量のリクエストを非同期にまとめて処理させるため、同期呼び出しより低料金です（通常24時間以内に完了）。
+   * 各リクエストは simpleChat と同じ方法で構築されるので、responseSchema や systemInstruction などの
+   * params がそのまま使えます。リクエスト全体が大きい場合は自動的にJSONLファイルとしてアップロードします。
+   *
+   * 使用方法:
+   * const job = client.createBatchJob([
+   *   { key: "row-2", prompt: "りんごを英訳して" },
+   *   { key: "row-3", prompt: "みかんを英訳して", params: { temperature: 0 } }
+   * ], { displayName: "nightly-translation" });
+   * PropertiesService.getScriptProperties().setProperty("batchJob", job.name);
+   *
+   * @param {Array<string|Object>} requests - リクエストの配列。各要素はプロンプト、または以下のオブジェクト。
+   *   key（結果と対応付けるキー。省略時は配列のインデックス）, prompt（プロンプト、parts 配列、または contents 配列）,
+   *   params（このリクエストだけに適用する生成オプション）
+   * @param {Object} [params] - 全リクエストに共通の生成オプション
+   * @param {string} [params.model] - 使用するモデルの識別子。
+   * @param {string} [params.displayName] - ジョブの表示名。
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Object} 作成したバッチジョブ（name, metadata など）
+   */
+  createBatchJob(requests, params={}) {
+    this.assertBatchApiAvailable_();
+
+    if (!Array.isArray(requests) || requests.length === 0) {
+      throw new Error('requests must be a non-empty array');
+    }
+
+    const model = params.model || this.model;
+    const batchRequests = requests.map((entry, index) => {
+      const item = (typeof entry === 'string' || Array.isArray(entry)) ? { prompt: entry } : entry;
+      const itemParams = Object.assign({}, params, item.params);
+      const contents = this.toContents_(item.prompt, itemParams, true);
+      const payload = this.buildGenerateContentPayload_(contents, itemParams);
+
+      return {
+        key: item.key !== undefined ? String(item.key) : String(index),
+        request: payload
+      };
+    });
+
+    const batch = {
+      displayName: params.displayName || `gas-gemini-batch-${Date.now()}`
+    };
+
+    const inlineJson = JSON.stringify(batchRequests);
+    if (Utilities.newBlob(inlineJson).getBytes().length > _BATCH_INLINE_LIMIT_BYTES) {
+      // JSONLファイルとしてアップロードして参照させる
+      const jsonl = batchRequests.map(item => JSON.stringify(item)).join('\n');
+      const file = this.uploadFile(Utilities.newBlob(jsonl, 'application/jsonl', `${batch.displayName}.jsonl`), {
+        displayName: batch.displayName,
+        maxRetry: params.maxRetry
+      });
+      batch.inputConfig = { fileName: file.name };
+    } else {
+      batch.inputConfig = {
+        requests: {
+          requests: batchRequests.map(item => ({
+            request: item.request,
+            metadata: { key: item.key }
+          }))
+        }
+      };
+    }
+
+    const url = this.getModelMethodUrl_(model, 'batchGenerateContent');
+    return this.callApi_(url, { batch: batch }, params.maxRetry);
+  }
+
+  /**
+   * Batch APIのジョブの情報を取得します。
+   * 状態は metadata.state（BATCH_STATE_PENDING, BATCH_STATE_RUNNING, BATCH_STATE_SUCCEEDED,
+   * BATCH_STATE_FAILED, BATCH_STATE_CANCELLED, BATCH_STATE_EXPIRED）で確認できます。
+   *
+   * @param {string|Object} job - ジョブ名（"batches/abc123"）、またはバッチジョブ
+   * @param {Object} [params] - 取得オプションを含む設定オブジェクト
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Object} バッチジョブ
+   */
+  getBatchJob(job, params={}) {
+    this.assertBatchApiAvailable_();
+    return this.callApiWithMethod_('get', `${_GEMINI_API_BASE_URL}/${this.toBatchName_(job)}`, null, params.maxRetry);
+  }
+
+  /**
+   * Batch APIのジョブの一覧を取得します。
+   *
+   * @param {Object} [params] - 取得オプションを含む設定オブジェクト
+   * @param {number} [params.pageSize] - 1ページあたりの件数。
+   * @param {string} [params.pageToken] - 前回のレスポンスの nextPageToken。
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Object} レスポンス（batchJobs, nextPageToken）
+   */
+  listBatchJobs(params={}) {
+    this.assertBatchApiAvailable_();
+
+    const query = [];
+    if (params.pageSize) query.push(`pageSize=${params.pageSize}`);
+    if (params.pageToken) query.push(`pageToken=${encodeURIComponent(params.pageToken)}`);
+
+    const url = `${_GEMINI_API_BASE_URL}/batches` + (query.length > 0 ? '?' + query.join('&') : '');
+    const result = this.callApiWithMethod_('get', url, null, params.maxRetry);
+    return { batchJobs: result.operations || result.batches || [], nextPageToken: result.nextPageToken || null };
+  }
+
+  /**
+   * Batch APIのジョブをキャンセルします。
+   *
+   * @param {string|Object} job - ジョブ名（"batches/abc123"）、またはバッチジョブ
+   * @param {Object} [params] - キャンセルオプションを含む設定オブジェクト
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   */
+  cancelBatchJob(job, params={}) {
+    this.assertBatchApiAvailable_();
+    this.callApi_(`${_GEMINI_API_BASE_URL}/${this.toBatchName_(job)}:cancel`, {}, params.maxRetry);
+  }
+
+  /**
+   * 完了したBatch APIのジョブの結果を、createBatchJob で指定したキーと対応付けて取得します。
+   * 結果は simpleChat と同じ方法で解釈するので、JSONで受け取りたい場合は params.responseSchema を、
+   * 詳細な結果オブジェクトが欲しい場合は params.returnDetails を指定してください。
+   *
+   * @param {string|Object} job - ジョブ名（"batches/abc123"）、またはバッチジョブ
+   * @param {Object} [params] - 結果の解釈オプションを含む設定オブジェクト
+   * @param {Object} [params.responseSchema] - 指定するとテキストをJSONとしてパースします。
+   * @param {boolean} [params.returnDetails] - true の場合、result を chat() と同じ詳細な結果オブジェクトにします。
+   * @param {number} [params.maxRetry] - 最大リトライ回数。
+   * @return {Object[]} 結果の配列。各要素は key, ok, result, error, response（レスポンス全体）を持ちます。
+   * @throws {GeminiError} ジョブが成功状態で完了していない場合
+   */
+  getBatchResults(job, params={}) {
+    const current = this.getBatchJob(job, params);
+    const state = (current.metadata && current.metadata.state) || current.state;
+    if (state !== _BATCH_STATE_SUCCEEDED) {
+      throw new GeminiError(`バッチジョブが成功状態ではありません: name=${this.toBatchName_(job)}, state=${state}`);
+    }
+
+    const output = current.response || (current.metadata && current.metadata.output) || current.output || {};
+    let entries = [];
+
+    if (output.inlinedResponses) {
+      const inlined = Array.isArray(output.inlinedResponses)
+        ? output.inlinedResponses
+        : output.inlinedResponses.inlinedResponses || [];
+      entries = inlined.map((item, index) => ({
+        key: item.metadata && item.metadata.key !== undefined ? item.metadata.key : String(index),
+        response: item.response,
+        error: item.error
+      }));
+    } else if (output.responsesFile) {
+      const url = `${_GEMINI_DOWNLOAD_BASE_URL}/${output.responsesFile}:download?alt=media`;
+      const jsonl = this.callApiWithMethod_('get', url, null, params.maxRetry, content => content);
+      entries = jsonl.split('\n').filter(line => line.trim() !== '').map((line, index) => {
+        const item = JSON.parse(line);
+        return {
+          key: item.key !== undefined ? item.key : String(index),
+          response: item.response,
+          error: item.error
+        };
+      });
+    }
+
+    return entries.map(entry => {
+      const result = { key: entry.key, ok: false, result: null, error: null, response: entry.response || null };
+      try {
+        if (entry.error) {
+          throw GeminiApiError.fromErrorBody_(entry.error);
+        }
+        result.result = params.returnDetails
+          ? this.buildChatDetails_(entry.response, params)
+          : this.extractChatResult_(entry.response, params);
+        result.ok = true;
+      } catch (e) {
+        result.error = e;
+      }
+      return result;
+    });
+  }
+
+  /**
+   * ジョブ名またはバッチジョブから "batches/xxx" 形式のジョブ名を取得します
+   */
+  toBatchName_(job) {
+    const name = typeof job === 'string' ? job : job && job.name;
+    if (!name) {
+      throw new Error('batch job name is required');
+    }
+    return name.startsWith('batches/') ? name : `batches/${name}`;
+  }
+
+  /**
+   * Batch APIが使える接続先か検証します
+   */
+  assertBatchApiAvailable_() {
+    if (this.backend === 'vertex') {
+      throw new GeminiError('Batch API is not available on the Vertex AI backend. Use Vertex AI batch prediction instead.');
+    }
+  }
+
+  /**
+   * このクライアントで行ったAPI呼び出しのトークン使用量と料金の目安を取得します。
+   * 集計はクライアント生成時（または resetUsage() / flushUsage() の呼び出し時）からのものです。
+   * method は chat（generateContent / simpleChat など）, toolLoop（Function Callingの2回目以降の呼び出し）,
+   * stream, batchChat, embedding, imageGeneration, videoAnalysis のいずれかです。
+   *
+   * 使用方法:
+   * const usage = client.getUsage();
+   * Logger.log(usage.total.totalTokens + " tokens, $" + usage.total.estimatedCost);
+   *
+   * @return {Object} 使用量（since, total, byModel, byMethod, entries）。各集計は requests, promptTokens,
+   *   candidatesTokens, thoughtsTokens, cachedTokens, totalTokens, images, estimatedCost を持ちます。
+   */
+  getUsage() {
+    const total = this.createEmptyUsage_();
+    const byModel = {};
+    const byMethod = {};
+    const entries = [];
+
+    Object.keys(this.usageEntries_).forEach(key => {
+      const entry = this.usageEntries_[key];
+      byModel[entry.model] = byModel[entry.model] || this.createEmptyUsage_();
+      byMethod[entry.method] = byMethod[entry.method] || this.createEmptyUsage_();
+
+      [total, byModel[entry.model], byMethod[entry.method]].forEach(target => this.addUsage_(target, entry.usage));
+      entries.push({ model: entry.model, method: entry.method, usage: Object.assign({}, entry.usage) });
+    });
+
+    return {
+      since: new Date(this.usageSince_),
+      total: total,
+      byModel: byModel,
+      byMethod: byMethod,
+      entries: entries
+    };
+  }
+
+  /**
+   * 使用量の集計をリセットします。
+   */
+  resetUsage() {
+    this.usageEntries_ = {};
+    this.usageSince_ = Date.now();
+  }
+
+  /**
+   * 使用量を保存して集計をリセットします。
+   * properties を指定すると、その日の合計に加算して保存します（getDailyUsage() で取得できます）。
+   * sheet を指定すると、モデル・メソッドごとに1行ずつ追記します（シートが空の場合はヘッダー行も追加します）。
+   * 実行の最後に1回呼ぶ使い方を想定しています。
+   *
+   * 使用方法:
+   * client.flushUsage({ properties: PropertiesService.getScriptProperties() });
+   *
+   * @param {Object} options - 保存先の設定オブジェクト
+   * @param {Properties} [options.properties] - 日ごとの合計を保存する PropertiesService のプロパティ
+   * @param {Sheet} [options.sheet] - 使用量を追記するシート
+   * @return {Object} 保存した使用量（getUsage() と同じ形式）
+   */
+  flushUsage(options={}) {
+    const usage = this.getUsage();
+
+    if (options.properties) {
+      const date = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+      const key = _USAGE_PROPERTY_KEY_PREFIX + date;
+      const saved = JSON.parse(options.properties.getProperty(key) || '{"entries":{}}');
+
+      usage.entries.forEach(entry => {
+        const entryKey = `${entry.model}\t${entry.method}`;
+        saved.entries[entryKey] = saved.entries[entryKey] || this.createEmptyUsage_();
+        this.addUsage_(saved.entries[entryKey], entry.usage);
+      });
+      options.properties.setProperty(key, JSON.stringify(saved));
+    }
+
+    if (options.sheet && usage.entries.length > 0) {
+      if (options.sheet.getLastRow() === 0) {
+        options.sheet.appendRow(_USAGE_SHEET_HEADER);
+      }
+      const timestamp = new Date();
+      usage.entries.forEach(entry => {
+        const u = entry.usage;
+        options.sheet.appendRow([
+          timestamp, entry.model, entry.method, u.requests, u.promptTokens, u.candidatesTokens,
+          u.thoughtsTokens, u.cachedTokens, u.totalTokens, u.images, u.estimatedCost
+        ]);
+      });
+    }
+
+    this.resetUsage();
+    return usage;
+  }
+
+  /**
+   * flushUsage() で PropertiesService に保存した、ある日の使用量を取得します。
+   *
+   * @param {Properties} properties - flushUsage() で指定したプロパティ
+   * @param {Date|string} [date=new Date()] - 日付（Date、または "yyyy-MM-dd" 形式の文字列）
+   * @return {Object} 使用量（total, byModel, byMethod, entries）。保存されていない場合は各値が0のもの。
+   */
+  getDailyUsage(properties, date=new Date()) {
+    const dateString = typeof date === 'string' ? date : Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    const saved = JSON.parse(properties.getProperty(_USAGE_PROPERTY_KEY_PREFIX + dateString) || '{"entries":{}}');
+
+    const total = this.createEmptyUsage_();
+    const byModel = {};
+    const byMethod = {};
+    const entries = [];
+    Object.keys(saved.entries).forEach(entryKey => {
+      const [model, method] = entryKey.split('\t');
+      const usage = saved.entries[entryKey];
+      byModel[model] = byModel[model] || this.createEmptyUsage_();
+      byMethod[method] = byMethod[method] || this.createEmptyUsage_();
+      [total, byModel[model], byMethod[method]].forEach(target => this.addUsage_(target, usage));
+      entries.push({ model: model, method: method, usage: usage });
+    });
+
+    return { date: dateString, total: total, byModel: byModel, byMethod: byMethod, entries: entries };
+  }
+
+  /**
+   * APIレスポンスから使用量を取り出して集計に加えます。
+   * 呼び出し元でそのまま返せるよう、レスポンスをそのまま返します。
+   *
+   * @param {string} method - 集計上のメソッド名（chat, toolLoop, stream, batchChat, embedding, imageGeneration, videoAnalysis）
+   * @param {string} model - 使用したモデルの識別子
+   * @param {Object} response - Gemini APIからのレスポンス
+   * @return {Object} response
+   */
+  recordUsage_(method, model, response) {
+    if (!response || response.error) {
+      return response;
+    }
+
+    const usage = this.createEmptyUsage_();
+    usage.requests = 1;
+
+    const metadata = response.usageMetadata;
+    if (metadata) {
+      usage.promptTokens = metadata.promptTokenCount || 0;
+      usage.candidatesTokens = metadata.candidatesTokenCount || 0;
+      usage.thoughtsTokens = metadata.thoughtsTokenCount || 0;
+      usage.cachedTokens = metadata.cachedContentTokenCount || 0;
+      usage.totalTokens = metadata.totalTokenCount
+        || usage.promptTokens + usage.candidatesTokens + usage.thoughtsTokens;
+    }
+
+    // predict のレスポンス（Imagenの画像、Vertex AIのエンベディング）
+    if (Array.isArray(response.predictions)) {
+      response.predictions.forEach(prediction => {
+        if (prediction.bytesBase64Encoded) {
+          usage.images++;
+        }
+        const statistics = prediction.embeddings && prediction.embeddings.statistics;
+        if (statistics && statistics.token_count) {
+          usage.promptTokens += statistics.token_count;
+          usage.totalTokens += statistics.token_count;
+        }
+      });
+    }
+
+    usage.estimatedCost = this.estimateCost_(model, usage);
+
+    const key = `${model}\t${method}`;
+    if (!this.usageEntries_[key]) {
+      this.usageEntries_[key] = { model: model, method: method, usage: this.createEmptyUsage_() };
+    }
+    this.addUsage_(this.usageEntries_[key].usage, usage);
+
+    return response;
+  }
+
+  /**
+   * 料金表から使用量の料金の目安（USD）を求めます。料金表にないモデルは0です。
+   * 思考トークンは出力トークンとして、キャッシュされたトークンは cachedInput の単価で計算します。
+   *
+   * @param {string} model - モデルの識別子
+   * @param {Object} usage - 使用量
+   * @return {number} 料金の目安（USD）
+   */
+  estimateCost_(model, usage) {
+    // 最も長く一致するキーの料金を使う（"gemini-2.5-flash-lite" を "gemini-2.5-flash" の料金にしないため）
+    const key = Object.keys(this.pricing)
+      .filter(pricingKey => model === pricingKey || model.startsWith(pricingKey))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!key) {
+      return 0;
+    }
+
+    const price = this.pricing[key];
+    const cachedInput = price.cachedInput !== undefined ? price.cachedInput : price.input;
+    const uncachedPromptTokens = Math.max(0, usage.promptTokens - usage.cachedTokens);
+
+    return (uncachedPromptTokens * (price.input || 0)
+      + usage.cachedTokens * (cachedInput || 0)
+      + (usage.candidatesTokens + usage.thoughtsTokens) * (price.output || 0)) / 1000000;
+  }
+
+  /**
+   * 値がすべて0の使用量オブジェクトを生成します
+   */
+  createEmptyUsage_() {
+    return {
+      requests: 0,
+      promptTokens: 0,
+      candidatesTokens: 0,
+      thoughtsTokens: 0,
+      cachedTokens: 0,
+      totalTokens: 0,
+      images: 0,
+      estimatedCost: 0
+    };
+  }
+
+  /**
+   * 使用量を別の使用量オブジェクトに加算します
+   */
+  addUsage_(target, usage) {
+    Object.keys(target).forEach(key => {
+      target[key] += usage[key] || 0;
+    });
+    return target;
+  }
+
+  /**
+   * 画像生成用のURLを取得します
+   */
+  getImageGenerationUrl_(params={}) {
+    const model = params.model || _DEFAULT_GEMINI_IMAGE_MODEL;
+    
+    if (model.includes("imagen")) {
+      // Imagen 3.0用のエンドポイント
+      return this.getModelMethodUrl_(model, 'predict');
+    } else {
+      // Gemini 2.0用のエンドポイント
+      return this.getModelMethodUrl_(model, 'generateContent');
+    }
+  }
+
+  /**
+   * エンベディング用のURLを取得します
+   */
+  getEmbeddingUrl_(params={}) {
+    const model = params.model || "text-embedding-004";
+    // Vertex AIのエンベディングモデルは predict で呼び出す
+    return this.getModelMethodUrl_(model, this.backend === 'vertex' ? 'predict' : 'embedContent');
   }
 
   /**
    * バッチエンベディング用のURLを取得します
    */
-  getBatchEmbeddingUrl_(params={}) {
-    const model = params.model || "text-embedding-004";
-    return `https://generativelanguage.googleapis.com/v1beta/models/${model}:batchEmbedContents`;
+  getBatchEmbeddingUrl_(params={}) {
+    const model = params.model || "text-embedding-004";
+    return this.getModelMethodUrl_(model, 'batchEmbedContents');
+  }
+
+  /**
+   * モデルのメソッド（generateContent など）を呼び出すURLを接続先に応じて取得します
+   *
+   * @param {string} model - モデルの識別子
+   * @param {string} method - メソッド名（generateContent, predict など）
+   * @return {string} URL
+   */
+  getModelMethodUrl_(model, method) {
+    if (this.backend === 'vertex') {
+      return `${this.getVertexBaseUrl_()}/publishers/google/models/${model}:${method}`;
+    }
+    return `${_GEMINI_API_BASE_URL}/models/${model}:${method}`;
+  }
+
+  /**
+   * Vertex AIのプロジェクト・ロケーションまでのURLを取得します
+   */
+  getVertexBaseUrl_() {
+    return `${this.getVertexApiRootUrl_()}/projects/${this.projectId}/locations/${this.location}`;
+  }
+
+  /**
+   * Vertex AIのAPIのルートURLを取得します
+   */
+  getVertexApiRootUrl_() {
+    const host = this.location === 'global'
+      ? 'aiplatform.googleapis.com'
+      : `${this.location}-aiplatform.googleapis.com`;
+    return `https://${host}/v1`;
+  }
+
+  /**
+   * "cachedContents/xxx" のようなリソース名のURLを接続先に応じて取得します
+   *
+   * @param {string} name - リソース名
+   * @return {string} URL
+   */
+  getResourceUrl_(name) {
+    if (this.backend === 'vertex') {
+      return `${this.getVertexApiRootUrl_()}/${name}`;
+    }
+    return `${_GEMINI_API_BASE_URL}/${name}`;
+  }
+
+  /**
+   * モデルの識別子をリソース名（"models/gemini-2.5-flash" など）に変換します
+   *
+   * @param {string} model - モデルの識別子
+   * @return {string} モデルのリソース名
+   */
+  toModelResourceName_(model) {
+    if (model.startsWith('models/') || model.startsWith('projects/')) {
+      return model;
+    }
+    if (this.backend === 'vertex') {
+      return `projects/${this.projectId}/locations/${this.location}/publishers/google/models/${model}`;
+    }
+    return `models/${model}`;
+  }
+
+  /**
+   * 生成設定を構築します
+   */
+  buildGenerationConfig_(params) {
+    const config = {};
+    
+    // 基本パラメータ
+    const temperature = params.temperature !== undefined ? params.temperature : this.temperature;
+    const maxTokens = params.maxTokens !== undefined ? params.maxTokens : this.maxTokens;
+    const topP = params.topP !== undefined ? params.topP : this.topP;
+    const topK = params.topK !== undefined ? params.topK : this.topK;
+    const candidateCount = params.candidateCount !== undefined ? params.candidateCount : this.candidateCount;
+    
+    if (temperature !== undefined) config.temperature = temperature;
+    if (maxTokens !== undefined) config.maxOutputTokens = maxTokens;
+    if (topP !== undefined) config.topP = topP;
+    if (topK !== undefined) config.topK = topK;
+    if (candidateCount !== undefined) config.candidateCount = candidateCount;
+
+    // 思考（thinking）の設定
+    const thinkingBudget = params.thinkingBudget !== undefined ? params.thinkingBudget : this.thinkingBudget;
+    const includeThoughts = params.includeThoughts !== undefined ? params.includeThoughts : this.includeThoughts;
+    if (thinkingBudget !== undefined || includeThoughts !== undefined) {
+      config.thinkingConfig = {};
+      if (thinkingBudget !== undefined) config.thinkingConfig.thinkingBudget = thinkingBudget;
+      if (includeThoughts !== undefined) config.thinkingConfig.includeThoughts = includeThoughts;
+    }
+
+    // 構造化出力の設定
+    const responseSchema = params.responseSchema || this.responseSchema;
+    if (responseSchema) {
+      config.responseMimeType = "application/json";
+      config.responseJsonSchema = this.sanitizeSchemaForGemini_(responseSchema);
+    }
+    
+    return config;
+  }
+
+  /**
+   * JSONスキーマをGemini APIに送れる形に変換し、表現できなかった内容の一覧と合わせて返します。
+   * responseSchema やツールの parameters が意図どおりに送られるか、事前に確認するのに使えます。
+   *
+   * @param {Object} schema - JSONスキーマ
+   * @return {Object} 変換後のスキーマ（schema）と警告の配列（warnings。各要素は {path, message}）
+   */
+  sanitizeSchema(schema) {
+    const warnings = [];
+    return { schema: this.sanitizeSchemaForGemini_(schema, warnings), warnings: warnings };
+  }
+
+  /**
+   * JSONスキーマをGemini API用にサニタイズします
+   * GeminiはOpenAIと異なり、$schemaやadditionalPropertiesをサポートしていません。
+   * ローカルの $ref（#/definitions, #/$defs）は展開し、const は1要素の enum に、oneOf は anyOf に、
+   * allOf はひとつのスキーマにまとめます。表現できずに除去したものは警告として報告します。
+   *
+   * @param {Object} schema - JSONスキーマ
+   * @param {Object[]} [warnings] - 警告を追加する配列。省略するとLoggerに出力します。
+   * @param {string} [label="responseSchema"] - Loggerに出力する際のスキーマの名前
+   * @return {Object} サニタイズしたスキーマ
+   */
+  sanitizeSchemaForGemini_(schema, warnings=null, label='responseSchema') {
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const report = warnings || [];
+    const warn = (path, message) => report.push({ path: path, message: message });
+    const root = JSON.parse(JSON.stringify(schema));
+
+    // 値がスキーマになるキーワード以外はそのままコピーする
+    const droppedSilently = ['$schema', '$id', '$comment', 'definitions', '$defs'];
+    const unsupported = ['not', 'if', 'then', 'else', 'patternProperties', 'propertyNames', 'contains',
+      'dependentRequired', 'dependentSchemas', 'unevaluatedProperties', 'unevaluatedItems'];
+
+    const convert = (node, path, refStack) => {
+      if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        return node;
+      }
+
+      if (node.$ref !== undefined) {
+        const ref = node.$ref;
+        const siblings = Object.assign({}, node);
+        delete siblings.$ref;
+
+        if (typeof ref !== 'string' || !ref.startsWith('#')) {
+          warn(path, `外部の $ref（${ref}）は展開できないため除去しました`);
+          return convert(siblings, path, refStack);
+        }
+
+        const resolved = this.resolveSchemaRef_(ref, root);
+        if (!resolved) {
+          warn(path, `$ref（${ref}）が見つからないため除去しました`);
+          return convert(siblings, path, refStack);
+        }
+
+        if (refStack.includes(ref) || refStack.length >= _SCHEMA_REF_MAX_DEPTH) {
+          warn(path, refStack.includes(ref)
+            ? `$ref（${ref}）が循環しているため、これ以上展開しませんでした`
+            : `$ref の展開が深さの上限（${_SCHEMA_REF_MAX_DEPTH}）に達したため、これ以上展開しませんでした`);
+          const placeholder = convert(siblings, path, refStack);
+          if (typeof resolved.type === 'string' && placeholder.type === undefined) {
+            placeholder.type = resolved.type;
+          }
+          return placeholder;
+        }
+
+        // $ref と並んで書かれた description などは参照先より優先する
+        return convert(Object.assign({}, resolved, siblings), path, refStack.concat([ref]));
+      }
+
+      const result = {};
+      Object.keys(node).forEach(key => {
+        const value = node[key];
+        const at = `${path}.${key}`;
+
+        if (droppedSilently.includes(key) || key === 'allOf') {
+          return;
+        }
+        if (unsupported.includes(key)) {
+          warn(at, `${key} はGeminiで表現できないため除去しました`);
+          return;
+        }
+
+        switch (key) {
+          case 'additionalProperties':
+            if (value && typeof value === 'object') {
+              warn(at, 'スキーマを指定した additionalProperties は表現できないため除去しました');
+            } else if (value === false) {
+              warn(at, 'additionalProperties: false は表現できないため除去しました（余分なキーは受信後の検証で検出します）');
+            }
+            return;
+          case 'const':
+            result.enum = [value];
+            return;
+          case 'oneOf':
+          case 'anyOf':
+            if (key === 'oneOf') {
+              warn(at, 'oneOf は anyOf に変換しました（1つだけに一致することは保証されません）');
+            }
+            result.anyOf = (result.anyOf || []).concat(value.map((sub, index) => convert(sub, `${at}[${index}]`, refStack)));
+            return;
+          case 'properties':
+            result.properties = {};
+            Object.keys(value).forEach(name => {
+              result.properties[name] = convert(value[name], `${path}.${name}`, refStack);
+            });
+            return;
+          case 'items':
+            result.items = Array.isArray(value)
+              ? value.map((sub, index) => convert(sub, `${at}[${index}]`, refStack))
+              : convert(value, `${path}[]`, refStack);
+            return;
+          case 'prefixItems':
+            result.prefixItems = value.map((sub, index) => convert(sub, `${at}[${index}]`, refStack));
+            return;
+          default:
+            result[key] = value;
+        }
+      });
+
+      // allOf はプロパティと required をマージしてひとつのスキーマにする
+      if (Array.isArray(node.allOf)) {
+        node.allOf.forEach((sub, index) => {
+          const converted = convert(sub, `${path}.allOf[${index}]`, refStack);
+          Object.keys(converted).forEach(key => {
+            if (key === 'properties') {
+              result.properties = Object.assign({}, converted.properties, result.properties);
+            } else if (key === 'required') {
+              result.required = (result.required || []).concat(converted.required.filter(name => !(result.required || []).includes(name)));
+            } else if (result[key] === undefined) {
+              result[key] = converted[key];
+            } else if (key === 'type' && JSON.stringify(result.type) !== JSON.stringify(converted.type)) {
+              warn(`${path}.allOf[${index}]`, `type が矛盾しているため ${JSON.stringify(result.type)} を優先しました`);
+            }
+          });
+        });
+      }
+
+      return result;
+    };
+
+    const sanitized = convert(root, '$', []);
+
+    if (!warnings) {
+      report.forEach(warning => Logger.log(`Schema warning (${label}): ${warning.path}: ${warning.message}`));
+    }
+    return sanitized;
+  }
+
+  /**
+   * 認証ヘッダーを取得します
+   */
+  getAuthorizationHeader_() {
+    if (this.backend === 'vertex') {
+      return {
+        'Authorization': 'Bearer ' + this.getAccessToken_()
+      };
+    }
+
+    return {
+      'x-goog-api-key': this.apiKey
+    };
+  }
+
+  /**
+   * Vertex AI用のアクセストークンを取得します。
+   * tokenProvider、サービスアカウントのJWTフロー、ScriptApp.getOAuthToken() の順に使用します。
+   *
+   * @return {string} アクセストークン
+   */
+  getAccessToken_() {
+    if (this.tokenProvider) {
+      return this.tokenProvider();
+    }
+
+    if (!this.serviceAccount) {
+      return ScriptApp.getOAuthToken();
+    }
+
+    // 期限の1分前までは取得済みのトークンを使い回す
+    if (this.accessToken_ && Date.now() < this.accessTokenExpiresAt_ - 60 * 1000) {
+      return this.accessToken_;
+    }
+
+    const tokenResponse = this.fetchServiceAccountToken_(this.serviceAccount);
+    this.accessToken_ = tokenResponse.access_token;
+    this.accessTokenExpiresAt_ = Date.now() + (tokenResponse.expires_in || 3600) * 1000;
+    return this.accessToken_;
+  }
+
+  /**
+   * サービスアカウントの秘密鍵で署名したJWTを使ってアクセストークンを取得します。
+   *
+   * @param {Object} serviceAccount - サービスアカウントのキーJSON
+   * @return {Object} トークンエンドポイントのレスポンス（access_token, expires_in）
+   * @throws {GeminiApiError} トークンの取得に失敗した場合
+   */
+  fetchServiceAccountToken_(serviceAccount) {
+    const tokenUrl = serviceAccount.token_uri || _GOOGLE_OAUTH_TOKEN_URL;
+    const now = Math.floor(Date.now() / 1000);
+
+    const encode = obj => Utilities.base64EncodeWebSafe(JSON.stringify(obj)).replace(/=+$/, '');
+    const header = { alg: 'RS256', typ: 'JWT' };
+    const claim = {
+      iss: serviceAccount.client_email,
+      scope: _VERTEX_OAUTH_SCOPE,
+      aud: tokenUrl,
+      iat: now,
+      exp: now + 3600
+    };
+
+    const unsignedToken = encode(header) + '.' + encode(claim);
+    const signature = Utilities.computeRsaSha256Signature(unsignedToken, serviceAccount.private_key);
+    const jwt = unsignedToken + '.' + Utilities.base64EncodeWebSafe(signature).replace(/=+$/, '');
+
+    const response = UrlFetchApp.fetch(tokenUrl, {
+      method: 'post',
+      payload: {
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: jwt
+      },
+      muteHttpExceptions: true
+    });
+
+    const content = response.getContentText();
+    if (response.getResponseCode() != 200) {
+      throw GeminiApiError.fromResponse_(response.getResponseCode(), content);
+    }
+    return JSON.parse(content);
+  }
+}
+
+/**
+ * Geminiとの会話履歴を管理するチャットセッションです。
+ * Gemini#startChat() または Gemini#restoreChat() で生成します。
+ */
+class GeminiChatSession {
+  constructor(client, options={}) {
+    if (options.history && !Array.isArray(options.history)) {
+      throw new Error('history must be an array');
+    }
+
+    this.client = client;
+    this.history = options.history ? JSON.parse(JSON.stringify(options.history)) : [];
+
+    // history以外はsendMessageのたびに適用する既定パラメータとして保持
+    this.params = Object.assign({}, options);
+    delete this.params.history;
+  }
+
+  /**
+   * メッセージを送信し、AIの応答を返します。
+   * 成功した場合のみ、ユーザーのターンとモデルのターンが履歴に追加されます。
+   * returnDetails で MAX_TOKENS や SAFETY の結果を受け取った場合も、応答に parts がなければ履歴は変わりません。
+   *
+   * @param {string|Object[]} message - 送信するテキスト、または Gemini APIの parts 配列
+   * @param {Object} [params] - 今回の呼び出しにのみ適用される、generateContent と同じ生成オプション。
+   * params.returnDetails を true にすると Gemini#chat() と同じ詳細な結果オブジェクトを返します。
+   * @return {Object|string} params.responseSchema を指定していればその型のオブジェクト、そうでなければテキスト
+   * @throws {Error} Gemini APIレイヤでのエラーが発生した場合に例外をスローします。
+   */
+  sendMessage(message, params={}) {
+    const mergedParams = Object.assign({}, this.params, params);
+
+    const userTurn = {
+      role: "user",
+      parts: this.client.buildUserParts_(message, mergedParams)
+    };
+    const contents = this.history.slice();
+    contents.push(userTurn);
+
+    // onInputTokenLimit で contents が削られる（ターンが作り直される）ことがあるため、
+    // ツールのやり取りのターンは削られた後の入力のターン数から求める
+    const details = this.client.generateContentWithDetails_(contents, mergedParams);
+    const result = details.response;
+    const reply = mergedParams.returnDetails
+      ? this.client.buildChatDetails_(result, mergedParams, contents.slice(details.inputTurnCount), details.toolTrace)
+      : this.client.extractChatResult_(result, mergedParams);
+
+    // parts のない応答（MAX_TOKENS や SAFETY で returnDetails の場合など）は履歴に残さない。
+    // 空のターンを送るとAPIが400を返し、以降のセッションが使えなくなるため
+    const candidate = result.candidates && result.candidates[0];
+    const parts = candidate && candidate.content && candidate.content.parts;
+    if (parts && parts.length > 0) {
+      contents.push({
+        role: candidate.content.role || "model",
+        parts: parts
+      });
+      this.history = contents;
+    }
+
+    return reply;
+  }
+
+  /**
+   * 会話履歴のコピーを返します。
+   * @return {Object[]} Gemini APIの contents 形式の会話履歴
+   */
+  getHistory() {
+    return JSON.parse(JSON.stringify(this.history));
+  }
+
+  /**
+   * JSON化可能なセッションの状態を返します。
+   * @return {Object} history と systemInstruction を含むオブジェクト
+   */
+  toJSON() {
+    const data = { history: this.getHistory() };
+    if (typeof this.params.systemInstruction === 'string') {
+      data.systemInstruction = this.params.systemInstruction;
+    }
+    return data;
+  }
+
+  /**
+   * セッションの状態をJSON文字列にします。PropertiesService などに保存し、
+   * Gemini#restoreChat() で復元できます。
+   * 画像などの inlineData も履歴に含まれるため、保存先のサイズ制限に注意してください。
+   *
+   * @return {string} JSON文字列
+   */
+  serialize() {
+    return JSON.stringify(this.toJSON());
+  }
+}
+
+/**
+ * 実行時間上限をまたいで大量のアイテムを処理するジョブランナーです。
+ * Gemini#createJobRunner() で生成します。
+ */
+class GeminiJobRunner {
+  constructor(client, options={}) {
+    if (!options.jobId) {
+      throw new Error('jobId is required');
+    }
+    if (!Array.isArray(options.source) && !(options.source && typeof options.source.getValues === 'function')) {
+      throw new Error('source must be an array or a Range');
+    }
+
+    this.client = client;
+    this.jobId = options.jobId;
+    this.source = options.source;
+    this.processItem = options.processItem || null;
+    this.params = options.params || {};
+    this.outputColumn = options.outputColumn || null;
+    this.onResult = options.onResult || null;
+    this.onError = options.onError || null;
+    this.continuationFunction = options.continuationFunction || null;
+    this.continuationDelayMs = options.continuationDelayMs || _DEFAULT_JOB_CONTINUATION_DELAY_MS;
+    this.timeBudgetMs = options.timeBudgetMs || _DEFAULT_JOB_TIME_BUDGET_MS;
+    this.properties = options.properties || PropertiesService.getScriptProperties();
+    this.lock = options.lock || null;
+    this.propertyKey = _JOB_PROPERTY_KEY_PREFIX + this.jobId;
+    this.runningPropertyKey = _JOB_RUNNING_PROPERTY_KEY_PREFIX + this.jobId;
+  }
+
+  /**
+   * 保存されている進捗から処理を再開し、時間切れが近づくか全アイテムを処理し終えるまで実行します。
+   * continuationFunction が指定されていれば、処理の前に継続用のトリガーを登録し直します
+   * （実行時間上限で強制終了された場合も、そのトリガーから再開できます）。
+   * 全アイテムを処理し終えると、登録したトリガーを削除します。
+   * 同じジョブを他の実行（継続用トリガーと手動実行など）が処理中の場合は、何も処理せずに進捗を返します。
+   *
+   * @return {Object} 実行後の進捗（getStatus() と同じ形式）
+   */
+  run() {
+    const startedAt = Date.now();
+    const release = this.acquireRunGuard_(startedAt);
+    if (!release) {
+      Logger.log(`Job ${this.jobId} is already running in another execution. Skipped.`);
+      return this.getStatus();
+    }
+
+    try {
+      return this.runLocked_(startedAt);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * 同じジョブの同時実行を防ぐためのロックを取得し、解放する関数を返します。取得できなければ null を返します。
+   * options.lock 省略時は jobId ごとの実行中フラグを使い、スクリプトロックはフラグの読み書きの間だけ持ちます。
+   * 実行時間上限より前に立てられたフラグは、強制終了で残ったものとみなして無視します。
+   */
+  acquireRunGuard_(startedAt) {
+    if (this.lock) {
+      if (!this.lock.tryLock(0)) {
+        return null;
+      }
+      return () => this.lock.releaseLock();
+    }
+
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(_JOB_GUARD_LOCK_TIMEOUT_MS)) {
+      return null;
+    }
+    try {
+      const runningSince = Number(this.properties.getProperty(this.runningPropertyKey));
+      if (runningSince && startedAt - runningSince < _APPS_SCRIPT_EXECUTION_LIMIT_MS) {
+        return null;
+      }
+      this.properties.setProperty(this.runningPropertyKey, String(startedAt));
+    } finally {
+      lock.releaseLock();
+    }
+    return () => this.properties.deleteProperty(this.runningPropertyKey);
+  }
+
+  /**
+   * ロックを取得した状態で run() の処理を行います
+   *
+   * @param {number} startedAt - run() を呼んだ時刻（ミリ秒）
+   */
+  runLocked_(startedAt) {
+    const deadline = startedAt + this.timeBudgetMs;
+    const state = this.loadState_();
+
+    if (state.status === 'completed') {
+      this.deleteTrigger_(state);
+      this.saveState_(state);
+      return this.getStatus();
+    }
+
+    // 強制終了に備えて、実行時間上限を過ぎてから動く継続用トリガーを先に登録しておく
+    // （実行の開始は run() より前なので、run() から数えれば上限より後になる）
+    if (this.continuationFunction) {
+      const hardLimit = startedAt + _APPS_SCRIPT_EXECUTION_LIMIT_MS;
+      this.scheduleContinuation_(state, Math.max(hardLimit - Date.now(), 0) + this.continuationDelayMs);
+    } else {
+      this.deleteTrigger_(state);
+    }
+
+    const items = this.loadItems_();
+    state.status = 'running';
+    state.total = items.length;
+
+    let longestItemMs = 0;
+    while (state.nextIndex < items.length) {
+      // 最も時間のかかったアイテムと同じだけ時間が残っていなければ中断する
+      if (Date.now() + longestItemMs > deadline) {
+        break;
+      }
+
+      const index = state.nextIndex;
+      const item = items[index];
+      const startedAt = Date.now();
+
+      try {
+        const result = this.processItem
+          ? this.processItem(item, index, this.client)
+          : this.client.simpleChat(Array.isArray(item) ? item[0] : item, this.params);
+        this.writeOutput_(index, result);
+        if (this.onResult) {
+          this.onResult(result, item, index);
+        }
+        state.succeeded++;
+      } catch (e) {
+        state.failed++;
+        const message = String(e && e.message);
+        state.errors.push({
+          index: index,
+          name: e && e.name,
+          message: message.length > _JOB_MAX_ERROR_MESSAGE_LENGTH ? message.slice(0, _JOB_MAX_ERROR_MESSAGE_LENGTH) + '...' : message
+        });
+        if (state.errors.length > _JOB_MAX_RECORDED_ERRORS) {
+          state.errors.shift();
+        }
+        if (this.onError) {
+          this.onError(e, item, index);
+        }
+      }
+
+      longestItemMs = Math.max(longestItemMs, Date.now() - startedAt);
+      state.nextIndex = index + 1;
+      this.saveState_(state);
+    }
+
+    if (state.nextIndex >= items.length) {
+      state.status = 'completed';
+      this.deleteTrigger_(state);
+    } else if (this.continuationFunction) {
+      this.scheduleContinuation_(state, this.continuationDelayMs);
+    }
+    this.saveState_(state);
+
+    return this.getStatus();
   }
 
   /**
-   * 生成設定を構築します
+   * 保存されている進捗を返します。
+   *
+   * 戻り値のプロパティ:
+   * - jobId: ジョブの識別子
+   * - status: "pending"（未実行）、"running"（処理中・中断中）、"completed"（完了）
+   * - nextIndex: 次に処理するアイテムのインデックス
+   * - total: アイテム数（未実行の場合は null）
+   * - succeeded / failed: 成功・失敗したアイテム数
+   * - errors: 失敗したアイテムの {index, name, message}（直近50件）
+   * - done: 完了していれば true
+   *
+   * @return {Object} 進捗
    */
-  buildGenerationConfig_(params) {
-    const config = {};
-    
-    // 基本パラメータ
-    const temperature = params.temperature !== undefined ? params.temperature : this.temperature;
-    const maxTokens = params.maxTokens !== undefined ? params.maxTokens : this.maxTokens;
-    const topP = params.topP !== undefined ? params.topP : this.topP;
-    const topK = params.topK !== undefined ? params.topK : this.topK;
-    const candidateCount = params.candidateCount !== undefined ? params.candidateCount : this.candidateCount;
-    
-    if (temperature !== undefined) config.temperature = temperature;
-    if (maxTokens !== undefined) config.maxOutputTokens = maxTokens;
-    if (topP !== undefined) config.topP = topP;
-    if (topK !== undefined) config.topK = topK;
-    if (candidateCount !== undefined) config.candidateCount = candidateCount;
+  getStatus() {
+    const state = this.loadState_();
+    return {
+      jobId: this.jobId,
+      status: state.status,
+      nextIndex: state.nextIndex,
+      total: state.total,
+      succeeded: state.succeeded,
+      failed: state.failed,
+      errors: state.errors,
+      done: state.status === 'completed'
+    };
+  }
 
-    // 構造化出力の設定
-    const responseSchema = params.responseSchema || this.responseSchema;
-    if (responseSchema) {
-      config.responseMimeType = "application/json";
-      config.responseJsonSchema = this.sanitizeSchemaForGemini_(responseSchema);
+  /**
+   * 進捗を削除し、登録済みの継続用トリガーも削除します。次の run() は最初のアイテムから処理します。
+   */
+  reset() {
+    this.deleteTrigger_(this.loadState_());
+    this.properties.deleteProperty(this.propertyKey);
+  }
+
+  /**
+   * 処理するアイテムの配列を取得します
+   */
+  loadItems_() {
+    if (Array.isArray(this.source)) {
+      return this.source;
     }
-    
-    return config;
+    return this.source.getValues().map(row => row.length === 1 ? row[0] : row);
   }
 
   /**
-   * JSONスキーマをGemini API用にサニタイズします
-   * GeminiはOpenAIと異なり、$schemaやadditionalPropertiesをサポートしていません
+   * source が範囲の場合に、結果を同じ行の outputColumn に書き込みます
    */
-  sanitizeSchemaForGemini_(schema) {
-    if (!schema || typeof schema !== 'object') {
-      return schema;
+  writeOutput_(index, result) {
+    if (!this.outputColumn || Array.isArray(this.source)) {
+      return;
+    }
+    const value = result !== null && typeof result === 'object' ? JSON.stringify(result) : result;
+    this.source.getSheet().getRange(this.source.getRow() + index, this.outputColumn).setValue(value);
+  }
+
+  /**
+   * 登録済みの継続用トリガーを削除し、delayMs 後に continuationFunction を呼ぶトリガーを登録して保存します
+   */
+  scheduleContinuation_(state, delayMs) {
+    this.deleteTrigger_(state);
+    const trigger = ScriptApp.newTrigger(this.continuationFunction)
+      .timeBased()
+      .after(delayMs)
+      .create();
+    state.triggerId = trigger.getUniqueId();
+    this.saveState_(state);
+  }
+
+  /**
+   * 登録済みの継続用トリガーを削除します
+   */
+  deleteTrigger_(state) {
+    if (!state.triggerId) {
+      return;
     }
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getUniqueId() === state.triggerId)
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    state.triggerId = null;
+  }
 
-    const sanitized = JSON.parse(JSON.stringify(schema));
-    
-    // Geminiでサポートされていないプロパティを除去
-    const unsupportedProps = ['$schema', 'additionalProperties', '$id', '$ref', 'definitions'];
-    
-    const cleanSchema = (obj) => {
-      if (Array.isArray(obj)) {
-        return obj.map(cleanSchema);
-      } else if (obj && typeof obj === 'object') {
-        const cleaned = {};
-        for (const [key, value] of Object.entries(obj)) {
-          if (!unsupportedProps.includes(key)) {
-            cleaned[key] = cleanSchema(value);
-          }
-        }
-        return cleaned;
-      }
-      return obj;
+  /**
+   * 保存されている進捗を読み込みます
+   */
+  loadState_() {
+    const saved = this.properties.getProperty(this.propertyKey);
+    const state = {
+      status: 'pending',
+      nextIndex: 0,
+      total: null,
+      succeeded: 0,
+      failed: 0,
+      errors: [],
+      triggerId: null
     };
-    
-    return cleanSchema(sanitized);
+    return saved ? Object.assign(state, JSON.parse(saved)) : state;
   }
 
   /**
-   * 認証ヘッダーを取得します
+   * 進捗を保存します
    */
-  getAuthorizationHeader_() {
-    return {
-      'x-goog-api-key': this.apiKey
+  saveState_(state) {
+    state.updatedAt = new Date().toISOString();
+
+    // 値のサイズ上限を超える場合は古いエラーの記録から捨てる
+    let json = JSON.stringify(state);
+    while (state.errors.length > 0 && Utilities.newBlob(json).getBytes().length > _JOB_STATE_LIMIT_BYTES) {
+      state.errors.shift();
+      json = JSON.stringify(state);
+    }
+    this.properties.setProperty(this.propertyKey, json);
+  }
+}
+
+/**
+ * このライブラリがスローする例外の基底クラスです。
+ * ライブラリとして利用している場合は、error.name で種類を判別するか、
+ * GeminiErrors 経由でクラスを参照して instanceof で判別してください。
+ */
+class GeminiError extends Error {
+  constructor(message, options={}) {
+    super(message);
+    this.name = 'GeminiError';
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * Gemini APIがエラーレスポンスを返したことを表す例外です。
+ * code はHTTPステータスコード、status は "INVALID_ARGUMENT" などのエラーステータス、
+ * details はエラーレスポンスの details 配列です。
+ */
+class GeminiApiError extends GeminiError {
+  constructor(message, options={}) {
+    super(message, options);
+    this.name = 'GeminiApiError';
+    this.code = options.code !== undefined ? options.code : null;
+    this.status = options.status || null;
+    this.details = options.details || [];
+  }
+
+  /**
+   * HTTPレスポンスから例外オブジェクトを生成します。429の場合は RateLimitError になります。
+   *
+   * @param {number} httpStatus - HTTPステータスコード
+   * @param {string} content - レスポンスボディ
+   * @param {number|null} [retryDelay] - リトライまでの秒数
+   * @return {GeminiApiError} 例外オブジェクト
+   */
+  static fromResponse_(httpStatus, content, retryDelay=null) {
+    let errorBody = {};
+    try {
+      errorBody = JSON.parse(content).error || {};
+    } catch (e) {
+      // HTMLなどJSON以外のエラーレスポンスの場合はボディをそのままメッセージに含める
+    }
+
+    const options = {
+      code: httpStatus,
+      status: errorBody.status,
+      details: errorBody.details
+    };
+    const message = `APIエラー: status=${httpStatus}, message=${content}`;
+
+    if (httpStatus == 429) {
+      options.retryDelay = retryDelay;
+      return new RateLimitError(message, options);
+    }
+    return new GeminiApiError(message, options);
+  }
+
+  /**
+   * レスポンスJSONの error オブジェクトから例外オブジェクトを生成します。
+   *
+   * @param {Object} errorBody - レスポンスJSONの error プロパティ
+   * @return {GeminiApiError} 例外オブジェクト
+   */
+  static fromErrorBody_(errorBody) {
+    const options = {
+      code: errorBody.code,
+      status: errorBody.status,
+      details: errorBody.details
     };
+    const message = "API エラー: " + JSON.stringify(errorBody);
+
+    if (errorBody.code == 429) {
+      return new RateLimitError(message, options);
+    }
+    return new GeminiApiError(message, options);
+  }
+
+  /**
+   * メッセージだけを差し替えた同じ種類の例外オブジェクトを生成します。
+   *
+   * @param {string} message - 新しいメッセージ
+   * @return {GeminiApiError} 例外オブジェクト
+   */
+  withMessage_(message) {
+    return new this.constructor(message, Object.assign({}, this, { cause: this }));
+  }
+}
+
+/**
+ * HTTPステータス429（Too Many Requests）でリトライが尽きたことを表す例外です。
+ * retryDelay はAPIが指示したリトライまでの秒数です（指示がない場合は null）。
+ */
+class RateLimitError extends GeminiApiError {
+  constructor(message, options={}) {
+    super(message, options);
+    this.name = 'RateLimitError';
+    this.retryDelay = options.retryDelay || null;
+  }
+}
+
+/**
+ * プロンプトまたは生成内容が安全性フィルターによってブロックされたことを表す例外です。
+ * blockReason はブロック理由（"SAFETY" など）、safetyRatings は安全性評価の配列です。
+ */
+class SafetyBlockedError extends GeminiError {
+  constructor(message, options={}) {
+    super(message, options);
+    this.name = 'SafetyBlockedError';
+    this.blockReason = options.blockReason || null;
+    this.safetyRatings = options.safetyRatings || [];
+  }
+}
+
+/**
+ * 生成がトークン上限（maxTokens）に達して途中で打ち切られたことを表す例外です。
+ * partialText は打ち切られるまでに生成されたテキスト、thoughtsTokenCount は思考に使われたトークン数です。
+ */
+class MaxTokensError extends GeminiError {
+  constructor(message, options={}) {
+    super(message, options);
+    this.name = 'MaxTokensError';
+    this.partialText = options.partialText || '';
+    this.thoughtsTokenCount = options.thoughtsTokenCount || 0;
+  }
+}
+
+/**
+ * 入力トークン数が maxInputTokens を超えたため送信しなかったことを表す例外です。
+ * totalTokens は数えた入力トークン数、maxInputTokens は上限です。
+ */
+class InputTokenLimitError extends GeminiError {
+  constructor(message, options={}) {
+    super(message, options);
+    this.name = 'InputTokenLimitError';
+    this.totalTokens = options.totalTokens !== undefined ? options.totalTokens : null;
+    this.maxInputTokens = options.maxInputTokens !== undefined ? options.maxInputTokens : null;
+  }
+}
+
+/**
+ * AIの出力をJSONとして解釈できなかったことを表す例外です。
+ * rawText はパースしようとした元のテキストです。
+ */
+class SchemaParseError extends GeminiError {
+  constructor(message, options={}) {
+    super(message, options);
+    this.name = 'SchemaParseError';
+    this.rawText = options.rawText !== undefined ? options.rawText : null;
+  }
+}
+
+/**
+ * AIの出力がJSONとしては解釈できたものの、responseSchema に適合しなかったことを表す例外です。
+ * violations は違反の配列（{path, message}）、rawText は元のテキストです。
+ */
+class SchemaValidationError extends SchemaParseError {
+  constructor(message, options={}) {
+    super(message, options);
+    this.name = 'SchemaValidationError';
+    this.violations = options.violations || [];
+  }
+}
+
+// ライブラリとして利用する場合に例外クラスを参照できるよう公開します（classは公開されないためvarで定義）
+var GeminiErrors = {
+  GeminiError: GeminiError,
+  GeminiApiError: GeminiApiError,
+  RateLimitError: RateLimitError,
+  SafetyBlockedError: SafetyBlockedError,
+  MaxTokensError: MaxTokensError,
+  InputTokenLimitError: InputTokenLimitError,
+  SchemaParseError: SchemaParseError,
+  SchemaValidationError: SchemaValidationError
+};
+
+// ===== スプレッドシートのカスタム関数 =====
+// APIキーはスクリプトプロパティ GEMINI_API_KEY から読み込みます。
+// 結果は CacheService に保存し、再計算のたびにAPIを呼び出さない（課金されない）ようにしています。
+
+/**
+ * Geminiにプロンプトを送り、回答を返します。
+ *
+ * @param {string|Array<Array<string>>} prompt プロンプト。範囲を指定するとセルごとに回答します。
+ * @param {Array<Array<*>>} [range] プロンプトに添える表データ（タブ区切りのテキストとして渡します）。
+ * @param {string} [options] 生成オプションのJSON（例: "{""temperature"":0,""model"":""gemini-2.5-pro""}"）。
+ * @return 回答
+ * @customfunction
+ */
+function GEMINI(prompt, range, options) {
+  const params = parseCustomFunctionOptions_(options);
+  const context = isEmptyCell_(range) ? null : toTsv_(range);
+
+  return mapCustomFunctionInput_('GEMINI', prompt, { params: params, context: context }, (client, prompts) =>
+    client.batchChat(prompts.map(item => context ? `${item}\n\n${context}` : String(item)), params));
+}
+
+/**
+ * GeminiにJSONスキーマに沿った回答をさせ、表として返します。
+ * オブジェクトの配列は見出し行付きの表、オブジェクトは見出し行と値の行になります。
+ *
+ * @param {string|Array<Array<string>>} prompt プロンプト。範囲を指定するとセルごとにJSON文字列で回答します。
+ * @param {string} schemaJson 回答のJSONスキーマ（JSON文字列）。
+ * @param {string} [options] 生成オプションのJSON。
+ * @return 回答の表
+ * @customfunction
+ */
+function GEMINI_JSON(prompt, schemaJson, options) {
+  let schema;
+  try {
+    schema = JSON.parse(schemaJson);
+  } catch (e) {
+    throw new Error('schemaJson must be a valid JSON schema string');
+  }
+  const params = Object.assign(parseCustomFunctionOptions_(options), { responseSchema: schema });
+
+  const result = mapCustomFunctionInput_('GEMINI_JSON', prompt, { params: params }, (client, prompts) =>
+    client.batchChat(prompts.map(String), params));
+
+  return Array.isArray(prompt)
+    ? result.map(row => row.map(toSheetCellValue_))
+    : toSheetTable_(result);
+}
+
+/**
+ * テキストを指定したラベルのいずれかに分類します。
+ *
+ * @param {string|Array<Array<string>>} text 分類するテキスト。範囲を指定するとセルごとに分類します。
+ * @param {string|Array<Array<string>>} labels ラベルの範囲、またはカンマ区切りのラベル。
+ * @return ラベル
+ * @customfunction
+ */
+function GEMINI_CLASSIFY(text, labels) {
+  const labelList = (Array.isArray(labels) ? [].concat.apply([], labels) : String(labels).split(','))
+    .map(label => String(label).trim())
+    .filter(label => label !== '');
+  if (labelList.length === 0) {
+    throw new Error('labels must not be empty');
+  }
+
+  const params = {
+    systemInstruction: `ユーザーのテキストを次のラベルのうち最も当てはまるものに分類してください: ${labelList.join(', ')}`,
+    responseSchema: { type: 'string', enum: labelList },
+    temperature: 0
+  };
+
+  return mapCustomFunctionInput_('GEMINI_CLASSIFY', text, { labels: labelList }, (client, texts) =>
+    client.batchChat(texts.map(String), params));
+}
+
+/**
+ * テキストのEmbedding（ベクトル表現）を1行の数値として返します。
+ *
+ * @param {string|Array<Array<string>>} text テキスト。1列の範囲を指定すると行ごとにEmbeddingを返します。
+ * @param {string} [options] エンベディングのオプションのJSON（例: "{""taskType"":""SEMANTIC_SIMILARITY""}"）。
+ * @return Embedding
+ * @customfunction
+ */
+function GEMINI_EMBED(text, options) {
+  const params = parseCustomFunctionOptions_(options);
+  const input = Array.isArray(text) ? text.map(row => [row[0]]) : text;
+
+  const result = mapCustomFunctionInput_('GEMINI_EMBED', input, { params: params }, (client, texts) => {
+    try {
+      return client.simpleEmbedding(texts.map(String), params).map(values => ({ ok: true, result: values }));
+    } catch (e) {
+      if (texts.length === 1) {
+        return [{ ok: false, error: e }];
+      }
+      // まとめた呼び出しが失敗した場合は、失敗をセルごとにするため1件ずつやり直す
+      Logger.log(`GEMINI_EMBED batch failed. Retrying per cell: ${e.message}`);
+      return texts.map(value => {
+        try {
+          return { ok: true, result: client.simpleEmbedding(String(value), params) };
+        } catch (error) {
+          return { ok: false, error: error };
+        }
+      });
+    }
+  });
+
+  if (!Array.isArray(text)) {
+    return [result];
+  }
+
+  // 空のセルやエラーの行も、他の行と同じ列数にそろえる
+  const width = Math.max(1, ...result.map(row => Array.isArray(row[0]) ? row[0].length : 1));
+  return result.map(row => {
+    if (Array.isArray(row[0])) {
+      return row[0];
+    }
+    const padded = new Array(width).fill('');
+    padded[0] = row[0];
+    return padded;
+  });
+}
+
+/**
+ * カスタム関数用のクライアントを生成します
+ */
+function getCustomFunctionClient_() {
+  const apiKey = PropertiesService.getScriptProperties().getProperty(_CUSTOM_FUNCTION_API_KEY_PROPERTY);
+  if (!apiKey) {
+    throw new Error(`スクリプトプロパティ ${_CUSTOM_FUNCTION_API_KEY_PROPERTY} にAPIキーを設定してください`);
+  }
+  // 実行時間上限（30秒）を越えてリトライを待たないよう、リトライの期限を短くする
+  return createGeminiClient({
+    apiKey: apiKey,
+    retryPolicy: {
+      deadline: Date.now() + _CUSTOM_FUNCTION_RETRY_TIME_LIMIT_MS,
+      maxDelayMs: _CUSTOM_FUNCTION_MAX_RETRY_DELAY_MS
+    }
+  });
+}
+
+/**
+ * カスタム関数の入力（単一の値、または2次元の範囲）の各セルを処理します。
+ * キャッシュにない空でないセルだけをまとめて compute に渡し、成功した結果をキャッシュします。
+ * 範囲の場合、失敗したセルは "#ERROR: ..." になります。単一の値の場合は例外をスローします。
+ *
+ * @param {string} name - カスタム関数名（キャッシュキーの一部）
+ * @param {*} input - セルの値、または2次元配列
+ * @param {Object} cacheParams - 結果に影響するパラメータ（キャッシュキーの一部）
+ * @param {Function} compute - (client, values) を受け取り、values と同じ順序の {ok, result, error} の配列を返す関数
+ * @return {*} 単一の値の場合は結果、範囲の場合は結果の2次元配列
+ */
+function mapCustomFunctionInput_(name, input, cacheParams, compute) {
+  const isRange = Array.isArray(input);
+  const rows = isRange ? input : [[input]];
+  const cache = CacheService.getScriptCache();
+  const pending = [];
+
+  const output = rows.map((row, rowIndex) => row.map((value, columnIndex) => {
+    if (isEmptyCell_(value)) {
+      return '';
+    }
+    const key = getCustomFunctionCacheKey_(name, value, cacheParams);
+    const cached = cache.get(key);
+    if (cached !== null) {
+      return JSON.parse(cached);
+    }
+    pending.push({ rowIndex: rowIndex, columnIndex: columnIndex, value: value, key: key });
+    return '';
+  }));
+
+  if (pending.length > 0) {
+    const results = compute(getCustomFunctionClient_(), pending.map(item => item.value));
+    const toCache = {};
+
+    pending.forEach((item, index) => {
+      const result = results[index];
+      if (!result.ok) {
+        if (!isRange) {
+          throw result.error;
+        }
+        output[item.rowIndex][item.columnIndex] = `#ERROR: ${result.error.message}`;
+        return;
+      }
+
+      output[item.rowIndex][item.columnIndex] = result.result;
+      const json = JSON.stringify(result.result);
+      if (Utilities.newBlob(json).getBytes().length <= _CACHE_VALUE_LIMIT_BYTES) {
+        toCache[item.key] = json;
+      }
+    });
+
+    // キャッシュに保存できなくても、課金済みの結果は返す
+    if (Object.keys(toCache).length > 0) {
+      try {
+        cache.putAll(toCache, _CUSTOM_FUNCTION_CACHE_TTL_SECONDS);
+      } catch (e) {
+        Logger.log(`Failed to cache custom function results: ${e.message}`);
+      }
+    }
+  }
+
+  return isRange ? output : output[0][0];
+}
+
+/**
+ * カスタム関数の結果のキャッシュキーを生成します
+ */
+function getCustomFunctionCacheKey_(name, value, cacheParams) {
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    JSON.stringify([name, value, cacheParams]),
+    Utilities.Charset.UTF_8
+  );
+  return _CUSTOM_FUNCTION_CACHE_KEY_PREFIX + Utilities.base64Encode(digest);
+}
+
+/**
+ * カスタム関数の options 引数（JSON文字列）をパースします
+ */
+function parseCustomFunctionOptions_(options) {
+  if (isEmptyCell_(options)) {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(options);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (e) {
+    // 下で例外をスローする
+  }
+  throw new Error('options must be a JSON object string');
+}
+
+/**
+ * セルの値が空か判定します
+ */
+function isEmptyCell_(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * 2次元配列（範囲の値）をタブ区切りのテキストにします
+ */
+function toTsv_(range) {
+  const rows = Array.isArray(range) ? range : [[range]];
+  return rows
+    .filter(row => row.some(value => !isEmptyCell_(value)))
+    .map(row => row.join('\t'))
+    .join('\n');
+}
+
+/**
+ * 値を1つのセルに書き込める値にします
+ */
+function toSheetCellValue_(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/**
+ * JSONの値をスプレッドシートの表（2次元配列）にします
+ */
+function toSheetTable_(value) {
+  if (Array.isArray(value)) {
+    if (value.length > 0 && value.every(item => item !== null && typeof item === 'object' && !Array.isArray(item))) {
+      const headers = [];
+      value.forEach(item => Object.keys(item).forEach(key => {
+        if (!headers.includes(key)) headers.push(key);
+      }));
+      return [headers].concat(value.map(item => headers.map(key => item[key] === undefined ? '' : toSheetCellValue_(item[key]))));
+    }
+    return value.length > 0 ? value.map(item => [toSheetCellValue_(item)]) : '';
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 0) {
+      return '';
+    }
+    return [keys, keys.map(key => toSheetCellValue_(value[key]))];
   }
-}
\ No newline at end of file
+  return value;
+}